@@ -3,6 +3,9 @@
  * Handles API calls, token storage, and file downloads
  */
 
+// CSV builder shared with the results and bulk export pages
+importScripts('src/modules/exportCsv.js');
+
 // ============================================
 // API CONFIGURATION
 // ============================================
@@ -11,6 +14,24 @@ const GRAPH_API = 'https://graph.microsoft.com/v1.0';
 const PSS_API = 'https://project.microsoft.com/pss/api/v1.0';
 const TODO_SUBSTRATE_API = 'https://substrate.office.com/todob2/api/v1';
 
+// Request scheduler: concurrent requests allowed per host, retries per request,
+// and the circuit breaker that stops calling a host that keeps failing
+const SCHEDULER_HOST_CONCURRENCY = {
+  'graph.microsoft.com': 4,
+  'project.microsoft.com': 4,
+  'substrate.office.com': 2
+};
+const SCHEDULER_DEFAULT_CONCURRENCY = 4;
+const SCHEDULER_MAX_RETRIES = 5;
+const SCHEDULER_MAX_DELAY_MS = 60000;
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+// Graph JSON batching: 20 is the per-$batch limit; a few batches run at once
+const GRAPH_BATCH_SIZE = 20;
+const GRAPH_BATCH_CONCURRENCY = 3;
+const GRAPH_BATCH_MAX_RETRIES = 4;
+
 // ============================================
 // EXTRACTION STATE MANAGEMENT
 // ============================================
@@ -23,7 +44,8 @@ let extractionState = {
   completedAt: null,
   error: null,
   taskCount: 0,
-  method: null
+  method: null,
+  retryCount: 0
 };
 
 async function updateExtractionState(newState) {
@@ -60,6 +82,10 @@ function updateBadge(state) {
     setTimeout(() => {
       chrome.action.setBadgeText({ text: '' });
     }, 5000);
+  } else if (state.status === 'scheduleError') {
+    // Stays until the popup is opened, since nobody is watching a background run
+    chrome.action.setBadgeText({ text: '!' });
+    chrome.action.setBadgeBackgroundColor({ color: '#ff8c00' });
   } else if (state.status === 'error') {
     chrome.action.setBadgeText({ text: '!' });
     chrome.action.setBadgeBackgroundColor({ color: '#d13438' });
@@ -133,6 +159,142 @@ async function getAllTokens() {
   };
 }
 
+// ============================================
+// REQUEST SCHEDULER
+// ============================================
+
+// Per-host state: slots in use, waiters, host-wide Retry-After pause and circuit breaker
+const hostStates = {};
+let schedulerRetryCount = 0;
+
+function getHostState(host) {
+  if (!hostStates[host]) {
+    hostStates[host] = { active: 0, queue: [], pausedUntil: 0, failures: 0, openUntil: 0, openReason: '' };
+  }
+  return hostStates[host];
+}
+
+function acquireHostSlot(host) {
+  const state = getHostState(host);
+  const limit = SCHEDULER_HOST_CONCURRENCY[host] || SCHEDULER_DEFAULT_CONCURRENCY;
+  if (state.active < limit) {
+    state.active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => state.queue.push(resolve));
+}
+
+function releaseHostSlot(host) {
+  const state = getHostState(host);
+  const next = state.queue.shift();
+  if (next) {
+    next(); // Hand the slot straight to the next waiter
+  } else {
+    state.active--;
+  }
+}
+
+// Delay before retrying: Retry-After (seconds or HTTP date) when given,
+// otherwise exponential backoff from one second with a little jitter.
+// Only our own backoff is capped; a server's Retry-After is returned as is
+function getRetryDelayMs(retryAfter, attempt) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+    const retryAt = Date.parse(retryAfter);
+    if (!isNaN(retryAt)) return Math.max(retryAt - Date.now(), 0);
+  }
+  return Math.min(1000 * Math.pow(2, attempt) + Math.random() * 250, SCHEDULER_MAX_DELAY_MS);
+}
+
+// Count a retry and surface it to whatever is showing progress
+function noteRequestRetry(host, reason, attempt, delayMs, count = 1) {
+  schedulerRetryCount += count;
+  console.warn(`[Background] ${host} ${reason}, retry ${attempt} in ${Math.round(delayMs / 1000)}s`);
+
+  chrome.runtime.sendMessage({
+    action: 'requestRetry',
+    retry: { host, reason, attempt, delayMs, count, totalRetries: schedulerRetryCount }
+  }).catch(() => {}); // Ignore if no listeners
+
+  if (extractionState.status === 'extracting') {
+    updateExtractionState({ retryCount: (extractionState.retryCount || 0) + count });
+  }
+}
+
+// Server errors and network failures count toward the breaker; throttling doesn't,
+// since Retry-After already tells us when to come back
+function recordHostResult(host, failed) {
+  const state = getHostState(host);
+  if (!failed) {
+    state.failures = 0;
+    return;
+  }
+  state.failures++;
+  if (state.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    state.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+    state.openReason = 'Too many failed requests to';
+    console.warn(`[Background] Circuit open for ${host} after ${state.failures} consecutive failures`);
+  }
+}
+
+// Stands in for fetch() on every Graph, PSS and Substrate call. Limits concurrent requests per host,
+// retries 429/503 (and, for GET, other 5xx and network errors) with backoff, and fails
+// fast while the host's circuit is open. Resolves to the final response like fetch().
+async function scheduledFetch(url, options = {}) {
+  const host = new URL(url).host;
+  const state = getHostState(host);
+  const method = (options.method || 'GET').toUpperCase();
+  // A write that failed mid-flight may have been applied, so only reads retry on those
+  const idempotent = method === 'GET' || method === 'HEAD';
+
+  for (let attempt = 0; ; attempt++) {
+    if (state.openUntil > Date.now()) {
+      const seconds = Math.ceil((state.openUntil - Date.now()) / 1000);
+      throw new Error(`${state.openReason} ${host}, paused for ${seconds}s`);
+    }
+
+    let response = null;
+    let networkError = null;
+    await acquireHostSlot(host);
+    try {
+      // Wait out a host-wide Retry-After before sending
+      const pauseMs = state.pausedUntil - Date.now();
+      if (pauseMs > 0) {
+        await new Promise(r => setTimeout(r, pauseMs));
+      }
+      response = await fetch(url, options);
+    } catch (err) {
+      networkError = err;
+    } finally {
+      releaseHostSlot(host);
+    }
+
+    const status = response?.status;
+    const throttled = status === 429 || status === 503;
+    recordHostResult(host, !!networkError || (status >= 500 && status !== 503));
+
+    const retryable = throttled || (idempotent && (!!networkError || status === 502 || status === 504));
+    if (!retryable || attempt >= SCHEDULER_MAX_RETRIES) {
+      if (networkError) throw networkError;
+      return response;
+    }
+
+    const delayMs = getRetryDelayMs(response?.headers.get('Retry-After'), attempt);
+    if (delayMs > SCHEDULER_MAX_DELAY_MS) {
+      // Retrying sooner than asked would only be throttled again, so hold the host and give up
+      state.openUntil = Math.max(state.openUntil, Date.now() + delayMs);
+      state.openReason = 'Throttled by';
+      throw new Error(`${host} asked to wait ${Math.ceil(delayMs / 1000)}s before retrying. Try again later.`);
+    }
+    if (throttled) {
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delayMs);
+    }
+    noteRequestRetry(host, networkError ? 'network error' : `returned ${status}`, attempt + 1, delayMs);
+    await new Promise(r => setTimeout(r, delayMs));
+  }
+}
+
 // ============================================
 // API WRAPPERS
 // ============================================
@@ -140,7 +302,7 @@ async function getAllTokens() {
 async function graphFetch(endpoint, token, options = {}) {
   const url = endpoint.startsWith('http') ? endpoint : `${GRAPH_API}${endpoint}`;
 
-  const response = await fetch(url, {
+  const response = await scheduledFetch(url, {
     ...options,
     headers: {
       'Authorization': `Bearer ${token}`,
@@ -152,10 +314,91 @@ async function graphFetch(endpoint, token, options = {}) {
   return response;
 }
 
+// Run GET requests ([{ id, url }]) through Graph JSON $batch, GRAPH_BATCH_SIZE per call
+// with at most GRAPH_BATCH_CONCURRENCY calls in flight. The scheduler retries the $batch call
+// itself; items answered with 429/503 inside it are retried here after their Retry-After.
+// Resolves to { [id]: { status, body } } and never throws; onProgress(done, total) fires as items settle.
+async function graphBatch(requests, token, onProgress = null) {
+  const results = {};
+  const chunks = [];
+  for (let i = 0; i < requests.length; i += GRAPH_BATCH_SIZE) {
+    chunks.push(requests.slice(i, i + GRAPH_BATCH_SIZE));
+  }
+  let done = 0;
+
+  const settle = (request, status, body) => {
+    results[request.id] = { status, body };
+    done++;
+  };
+
+  async function runChunk(chunk) {
+    let pending = chunk;
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const canRetry = attempt < GRAPH_BATCH_MAX_RETRIES;
+      const retry = [];
+      let delayMs = 0;
+
+      try {
+        const response = await graphFetch('/$batch', token, {
+          method: 'POST',
+          body: JSON.stringify({
+            requests: pending.map(r => ({ id: r.id, method: 'GET', url: r.url }))
+          })
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          const byId = {};
+          (data.responses || []).forEach(r => { byId[r.id] = r; });
+
+          for (const request of pending) {
+            const item = byId[request.id];
+            const throttled = item && (item.status === 429 || item.status === 503);
+            const retryAfter = item?.headers?.['Retry-After'] ?? item?.headers?.['retry-after'];
+            const itemDelayMs = throttled ? getRetryDelayMs(retryAfter, attempt) : 0;
+            // Items asked to wait longer than we will are left failed rather than retried early
+            if (throttled && canRetry && itemDelayMs <= SCHEDULER_MAX_DELAY_MS) {
+              retry.push(request);
+              delayMs = Math.max(delayMs, itemDelayMs);
+            } else {
+              settle(request, item ? item.status : 0, item ? item.body : null);
+            }
+          }
+        } else {
+          pending.forEach(request => settle(request, response.status, null));
+        }
+      } catch (err) {
+        // Network failure after the scheduler's retries, or the circuit is open
+        console.warn('[Background] Graph batch request failed:', err.message);
+        pending.forEach(request => settle(request, 0, null));
+      }
+
+      if (onProgress) onProgress(done, requests.length);
+
+      pending = retry;
+      if (pending.length > 0) {
+        noteRequestRetry('graph.microsoft.com', `throttled ${pending.length} batch items`, attempt + 1, delayMs, pending.length);
+        await new Promise(r => setTimeout(r, delayMs));
+      }
+    }
+  }
+
+  // Bounded pool: each worker takes the next chunk until none are left
+  let nextChunk = 0;
+  const workers = Array.from({ length: Math.min(GRAPH_BATCH_CONCURRENCY, chunks.length) }, async () => {
+    while (nextChunk < chunks.length) {
+      await runChunk(chunks[nextChunk++]);
+    }
+  });
+  await Promise.all(workers);
+
+  return results;
+}
+
 async function pssFetch(url, token) {
   console.log('[Background] PSS Fetch URL:', url);
 
-  const response = await fetch(url, {
+  const response = await scheduledFetch(url, {
     headers: {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json',
@@ -184,6 +427,27 @@ function mapPssPriority(pssPriority) {
   return { value: 5, label: 'Medium' };
 }
 
+// Map a PSS link type to its short code (FS, SS, FF, SF)
+// PSS follows the Project numbering: 0 = FF, 1 = FS, 2 = SF, 3 = SS
+function mapPssLinkType(linkType) {
+  if (linkType === 0 || linkType === 'FinishToFinish' || linkType === 'FF') return 'FF';
+  if (linkType === 2 || linkType === 'StartToFinish' || linkType === 'SF') return 'SF';
+  if (linkType === 3 || linkType === 'StartToStart' || linkType === 'SS') return 'SS';
+  return 'FS';
+}
+
+// Map a link type short code back to the PSS numbering
+function mapLinkTypeToPss(type) {
+  const linkTypes = { FF: 0, FS: 1, SF: 2, SS: 3 };
+  return linkTypes[(type || 'FS').toUpperCase()] ?? 1;
+}
+
+// PSS durations and lags are in seconds of working time (8-hour days)
+function pssDurationToDays(seconds) {
+  if (!seconds) return 0;
+  return Math.round((seconds / (8 * 3600)) * 100) / 100;
+}
+
 // Format a date string to ISO 8601 for Graph API
 function formatDateForGraph(dateStr) {
   if (!dateStr) return null;
@@ -206,7 +470,15 @@ function generateUUID() {
   });
 }
 
+// tabId is the tab that started the extraction, or a callback for background runs
+// (scheduled exports, bulk export, import lookups). Those get their progress through the
+// callback and never touch extractionState or the badge, which belong to the popup's extraction.
 function sendProgressToTab(tabId, progress) {
+  if (typeof tabId === 'function') {
+    tabId(progress);
+    return;
+  }
+
   // Update extraction state with progress
   updateExtractionState({ progress });
 
@@ -226,12 +498,26 @@ async function fetchBasicPlanData(planId, token, tabId) {
 
   sendProgressToTab(tabId, { status: 'fetching', message: 'Fetching plan via Graph API...' });
 
-  // Get plan details
-  const planResponse = await graphFetch(`/planner/plans/${planId}`, token);
-  if (!planResponse.ok) {
-    throw new Error(`Failed to fetch plan: ${planResponse.status}`);
+  // Plan and buckets come back in one batch
+  const planResults = await graphBatch([
+    { id: 'plan', url: `/planner/plans/${planId}` },
+    { id: 'buckets', url: `/planner/plans/${planId}/buckets` }
+  ], token);
+  if (planResults.plan.status !== 200) {
+    throw new Error(`Failed to fetch plan: ${planResults.plan.status}`);
+  }
+  const plan = planResults.plan.body;
+
+  let buckets = planResults.buckets.body?.value || [];
+  const bucketsNextLink = planResults.buckets.body?.['@odata.nextLink'];
+  if (bucketsNextLink) {
+    buckets = buckets.concat(await graphFetchAll(bucketsNextLink, token));
+  }
+
+  const bucketMap = {};
+  for (const bucket of buckets) {
+    bucketMap[bucket.id] = bucket.name;
   }
-  const plan = await planResponse.json();
 
   // Get all tasks (with pagination)
   let tasks = [];
@@ -251,36 +537,55 @@ async function fetchBasicPlanData(planId, token, tabId) {
     current: 0
   });
 
-  // Get buckets
-  const bucketsResponse = await graphFetch(`/planner/plans/${planId}/buckets`, token);
-  const bucketsData = await bucketsResponse.json();
-  const buckets = bucketsData.value || [];
+  // Get task details (includes checklist, description)
+  const detailResults = await graphBatch(
+    tasks.map(task => ({ id: task.id, url: `/planner/tasks/${task.id}/details` })),
+    token,
+    (done, total) => {
+      sendProgressToTab(tabId, {
+        status: 'extracting',
+        message: `Fetching task details ${done}/${total}...`,
+        total,
+        current: done
+      });
+    }
+  );
 
-  const bucketMap = {};
-  for (const bucket of buckets) {
-    bucketMap[bucket.id] = bucket.name;
+  // Details that fail are skipped, as before
+  const detailsMap = {};
+  for (const task of tasks) {
+    const result = detailResults[task.id];
+    if (result?.status === 200) {
+      detailsMap[task.id] = result.body;
+    }
   }
 
-  // Get task details (includes checklist, description)
-  const detailsMap = {};
-  for (let i = 0; i < tasks.length; i++) {
-    const task = tasks[i];
-    try {
-      const detailResponse = await graphFetch(`/planner/tasks/${task.id}/details`, token);
-      if (detailResponse.ok) {
-        detailsMap[task.id] = await detailResponse.json();
+  // Resolve assignee IDs to names and emails
+  const userIds = [...new Set(tasks.flatMap(task => Object.keys(task.assignments || {})))];
+  const userMap = {};
+  if (userIds.length > 0) {
+    sendProgressToTab(tabId, {
+      status: 'extracting',
+      message: `Looking up ${userIds.length} assignees...`
+    });
+    const userResults = await graphBatch(
+      userIds.map(id => ({ id, url: `/users/${id}?$select=id,displayName,mail,userPrincipalName` })),
+      token
+    );
+    for (const id of userIds) {
+      const user = userResults[id]?.status === 200 ? userResults[id].body : null;
+      if (user) {
+        userMap[id] = { displayName: user.displayName, email: user.mail || user.userPrincipalName };
       }
-    } catch (e) {
-      // Skip details that fail
     }
+  }
 
-    if (i % 5 === 0) {
-      sendProgressToTab(tabId, {
-        status: 'extracting',
-        message: `Fetching task details ${i + 1}/${tasks.length}...`,
-        total: tasks.length,
-        current: i
-      });
+  // Only tasks whose assignees all resolved get names; the rest keep the ID count
+  for (const task of tasks) {
+    const ids = Object.keys(task.assignments || {});
+    if (ids.length > 0 && ids.every(id => userMap[id])) {
+      task.assignedTo = ids.map(id => userMap[id].displayName || userMap[id].email);
+      task.assignedToEmails = ids.map(id => userMap[id].email).filter(Boolean);
     }
   }
 
@@ -297,6 +602,7 @@ async function fetchBasicPlanData(planId, token, tabId) {
     buckets,
     bucketMap,
     detailsMap,
+    userMap,
     source: 'graph-api',
     planType: 'basic',
     extractionMethod: 'graph-api',
@@ -304,6 +610,75 @@ async function fetchBasicPlanData(planId, token, tabId) {
   };
 }
 
+// ============================================
+// GRAPH API - USER LOOKUP
+// ============================================
+
+// Get the member IDs of the Microsoft 365 group that owns a plan
+async function fetchPlanGroupMemberIds(planId, token) {
+  const planResponse = await graphFetch(`/planner/plans/${planId}`, token);
+  if (!planResponse.ok) {
+    throw new Error(`Failed to fetch plan: ${planResponse.status}`);
+  }
+  const plan = await planResponse.json();
+  const groupId = plan.container?.containerId || plan.owner;
+  if (!groupId) return null;
+
+  const memberIds = new Set();
+  let nextLink = `/groups/${groupId}/members?$select=id&$top=999`;
+  while (nextLink) {
+    const membersResponse = await graphFetch(nextLink, token);
+    if (!membersResponse.ok) {
+      // Reading members may need extra consent; treat membership as unknown
+      console.warn('[Background] Could not read group members:', membersResponse.status);
+      return null;
+    }
+    const membersData = await membersResponse.json();
+    (membersData.value || []).forEach(m => memberIds.add(m.id));
+    nextLink = membersData['@odata.nextLink'];
+  }
+  return memberIds;
+}
+
+// Resolve email addresses to Graph users and check plan group membership
+async function resolveGraphUsers(emails, planId, token) {
+  const memberIds = !planId ? null : await fetchPlanGroupMemberIds(planId, token).catch(err => {
+    console.warn('[Background] Group membership check failed:', err.message);
+    return null;
+  });
+
+  const results = {};
+  for (const email of emails) {
+    try {
+      // UPN lookup first, then fall back to the mail attribute
+      let user = null;
+      const userResponse = await graphFetch(`/users/${encodeURIComponent(email)}?$select=id,displayName,mail,userPrincipalName`, token);
+      if (userResponse.ok) {
+        user = await userResponse.json();
+      } else {
+        const filter = encodeURIComponent(`mail eq '${email.replace(/'/g, "''")}'`);
+        const searchResponse = await graphFetch(`/users?$filter=${filter}&$select=id,displayName,mail,userPrincipalName`, token);
+        if (searchResponse.ok) {
+          const searchData = await searchResponse.json();
+          user = (searchData.value || [])[0] || null;
+        }
+      }
+
+      results[email] = user
+        ? {
+            id: user.id,
+            displayName: user.displayName,
+            // null when membership could not be checked
+            isMember: memberIds ? memberIds.has(user.id) : null
+          }
+        : { id: null, error: 'User not found' };
+    } catch (err) {
+      results[email] = { id: null, error: err.message };
+    }
+  }
+  return results;
+}
+
 // ============================================
 // PSS API - PREMIUM PLAN DATA
 // ============================================
@@ -314,7 +689,7 @@ async function openProjectSession(dynamicsOrg, planId, token) {
   console.log('[Background] Dynamics Org:', dynamicsOrg);
   console.log('[Background] Plan ID:', planId);
 
-  const response = await fetch(`${PSS_API}/xrm/openproject`, {
+  const response = await scheduledFetch(`${PSS_API}/xrm/openproject`, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${token}`,
@@ -396,14 +771,16 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
     resourcesResult,
     assignmentsResult,
     checklistsResult,
-    labelsResult
+    labelsResult,
+    linksResult
   ] = await Promise.allSettled([
-    fetch(`${baseUrl}/tasks/`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
-    fetch(`${baseUrl}/buckets`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
-    fetch(`${baseUrl}/resources/`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
-    fetch(`${baseUrl}/assignments/`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
-    fetch(`${baseUrl}/checklistItems`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
-    fetch(`${baseUrl}/labels`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status))
+    scheduledFetch(`${baseUrl}/tasks/`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
+    scheduledFetch(`${baseUrl}/buckets`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
+    scheduledFetch(`${baseUrl}/resources/`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
+    scheduledFetch(`${baseUrl}/assignments/`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
+    scheduledFetch(`${baseUrl}/checklistItems`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
+    scheduledFetch(`${baseUrl}/labels`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status)),
+    scheduledFetch(`${baseUrl}/links`, { headers: authHeaders }).then(r => r.ok ? r.json() : Promise.reject(r.status))
   ]);
 
   // Log results
@@ -413,7 +790,8 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
     resources: resourcesResult.status,
     assignments: assignmentsResult.status,
     checklists: checklistsResult.status,
-    labels: labelsResult.status
+    labels: labelsResult.status,
+    links: linksResult.status
   });
 
   if (tasksResult.status === 'rejected') {
@@ -447,6 +825,7 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
   const assignments = extractData(assignmentsResult);
   const checklists = extractData(checklistsResult);
   const labels = extractData(labelsResult);
+  const links = extractData(linksResult);
 
   console.log('[Background] PSS API results:', {
     tasks: tasks.length,
@@ -454,7 +833,8 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
     resources: resources.length,
     assignments: assignments.length,
     checklists: checklists.length,
-    labels: labels.length
+    labels: labels.length,
+    links: links.length
   });
 
   sendProgressToTab(tabId, {
@@ -518,6 +898,53 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
     });
   });
 
+  // Group links (dependencies) by successor and predecessor task
+  const taskById = {};
+  tasks.forEach(t => { taskById[t.id] = t; });
+
+  const normalizedLinks = links.map(l => {
+    const predecessorId = l.predecessorId || l.predecessorTaskId;
+    const successorId = l.successorId || l.successorTaskId;
+    const lag = l.lag ?? l.linkLag ?? 0;
+    return {
+      id: l.id,
+      predecessorId,
+      successorId,
+      type: mapPssLinkType(l.linkType ?? l.type),
+      lag,
+      lagDays: pssDurationToDays(lag)
+    };
+  }).filter(l => l.predecessorId && l.successorId);
+
+  const taskPredecessors = {};
+  const taskSuccessors = {};
+  normalizedLinks.forEach(link => {
+    const predecessor = taskById[link.predecessorId] || {};
+    const successor = taskById[link.successorId] || {};
+    if (!taskPredecessors[link.successorId]) {
+      taskPredecessors[link.successorId] = [];
+    }
+    if (!taskSuccessors[link.predecessorId]) {
+      taskSuccessors[link.predecessorId] = [];
+    }
+    taskPredecessors[link.successorId].push({
+      taskId: link.predecessorId,
+      outlineNumber: predecessor.outlineNumber || '',
+      title: predecessor.name || '',
+      type: link.type,
+      lag: link.lag,
+      lagDays: link.lagDays
+    });
+    taskSuccessors[link.predecessorId].push({
+      taskId: link.successorId,
+      outlineNumber: successor.outlineNumber || '',
+      title: successor.name || '',
+      type: link.type,
+      lag: link.lag,
+      lagDays: link.lagDays
+    });
+  });
+
   // Map priority values
   const mapPriorityLabel = (priority) => {
     if (priority === 1) return 'Urgent';
@@ -562,6 +989,11 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
 
       isMilestone: task.milestone || false,
       isCritical: task.critical || false,
+
+      // Dependency fields
+      predecessors: taskPredecessors[taskId] || [],
+      successors: taskSuccessors[taskId] || [],
+
       source: 'pss-api',
       // Keep raw data for advanced use
       raw: task
@@ -596,6 +1028,7 @@ async function fetchPremiumPlanData(projectId, token, tabId) {
       name: l.name,
       color: l.color
     })),
+    links: normalizedLinks,
     bucketMap,
     resourceMap,
     source: 'pss-api',
@@ -717,7 +1150,8 @@ async function getFreshToDoToken() {
   return null;
 }
 
-// Substrate API fetch wrapper with retry logic
+// Substrate API fetch wrapper that retries with a fresh token on 401
+// (throttling and transient errors are retried by scheduledFetch)
 // tokenData can be a string (token only) or object { token, anchorMailbox }
 async function substrateFetch(endpoint, tokenData, maxRetries = 3) {
   const url = endpoint.startsWith('http') ? endpoint : `${TODO_SUBSTRATE_API}${endpoint}`;
@@ -726,7 +1160,6 @@ async function substrateFetch(endpoint, tokenData, maxRetries = 3) {
   // Handle both string token and token object
   let currentToken = typeof tokenData === 'string' ? tokenData : tokenData?.token;
   let anchorMailbox = typeof tokenData === 'object' ? tokenData?.anchorMailbox : null;
-  let lastError = null;
 
   // If no anchorMailbox, try to extract email from token as fallback
   if (!anchorMailbox && currentToken) {
@@ -736,89 +1169,172 @@ async function substrateFetch(endpoint, tokenData, maxRetries = 3) {
     }
   }
 
+  // The scheduler already retried throttling and network errors (or failed fast on purpose),
+  // so this loop only retries a 401 with a freshly captured token
   for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      // Build headers
-      const headers = {
-        'Authorization': `Bearer ${currentToken}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      };
+    // Build headers
+    const headers = {
+      'Authorization': `Bearer ${currentToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
 
-      // Add X-AnchorMailbox if available (critical for Substrate API routing)
-      if (anchorMailbox) {
-        headers['X-AnchorMailbox'] = anchorMailbox;
-        console.log('[Background] Using X-AnchorMailbox:', anchorMailbox);
-      }
+    // Add X-AnchorMailbox if available (critical for Substrate API routing)
+    if (anchorMailbox) {
+      headers['X-AnchorMailbox'] = anchorMailbox;
+      console.log('[Background] Using X-AnchorMailbox:', anchorMailbox);
+    }
 
-      const response = await fetch(url, { headers });
+    const response = await scheduledFetch(url, { headers });
 
-      if (response.status === 401) {
-        console.log(`[Background] 401 Unauthorized, attempt ${attempt + 1}/${maxRetries}`);
+    if (response.status === 401) {
+      console.log(`[Background] 401 Unauthorized, attempt ${attempt + 1}/${maxRetries}`);
 
-        // Try to get fresh token and headers from storage
-        const freshTokenData = await getFreshToDoToken();
-        if (freshTokenData && freshTokenData.token && freshTokenData.token !== currentToken) {
-          console.log('[Background] Got fresh token from storage, retrying...');
-          currentToken = freshTokenData.token;
-          if (freshTokenData.anchorMailbox) {
-            anchorMailbox = freshTokenData.anchorMailbox;
-          }
-          // Wait a bit before retrying
-          await new Promise(r => setTimeout(r, 500 * (attempt + 1)));
-          continue;
+      // Try to get fresh token and headers from storage
+      const freshTokenData = await getFreshToDoToken();
+      if (freshTokenData && freshTokenData.token && freshTokenData.token !== currentToken) {
+        console.log('[Background] Got fresh token from storage, retrying...');
+        currentToken = freshTokenData.token;
+        if (freshTokenData.anchorMailbox) {
+          anchorMailbox = freshTokenData.anchorMailbox;
         }
+        // Wait a bit before retrying
+        await new Promise(r => setTimeout(r, 500 * (attempt + 1)));
+        continue;
+      }
 
-        // If no fresh token, wait longer and retry (token might be captured soon)
-        if (attempt < maxRetries - 1) {
-          console.log('[Background] Waiting for token capture...');
-          await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
-          const newerTokenData = await getFreshToDoToken();
-          if (newerTokenData && newerTokenData.token) {
-            currentToken = newerTokenData.token;
-            if (newerTokenData.anchorMailbox) {
-              anchorMailbox = newerTokenData.anchorMailbox;
-            }
+      // If no fresh token, wait longer and retry (token might be captured soon)
+      if (attempt < maxRetries - 1) {
+        console.log('[Background] Waiting for token capture...');
+        await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
+        const newerTokenData = await getFreshToDoToken();
+        if (newerTokenData && newerTokenData.token) {
+          currentToken = newerTokenData.token;
+          if (newerTokenData.anchorMailbox) {
+            anchorMailbox = newerTokenData.anchorMailbox;
           }
-          continue;
         }
+        continue;
       }
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => '');
-        console.error('[Background] Substrate API error:', response.status, errorText);
-        throw new Error(`Substrate API error: ${response.status} ${response.statusText}`);
-      }
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error('[Background] Substrate API error:', response.status, errorText);
+      throw new Error(`Substrate API error: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  throw new Error('Substrate API error: 401 Unauthorized (still rejected after refreshing the token)');
+}
+
+// Read every page of a Substrate collection, following the continuation link.
+// Returns { items, partial, error }: a failure after the first page keeps what was
+// read and sets partial instead of throwing. With options.label, each page is reported.
+async function substrateFetchAll(endpoint, tokenData, options = {}) {
+  const { tabId = null, label = null } = options;
+  let items = [];
+  let nextLink = endpoint;
+  let pageCount = 0;
+  const seenLinks = new Set();
+
+  while (nextLink) {
+    // A link we've already followed would loop forever
+    if (seenLinks.has(nextLink)) {
+      return { items, partial: true, error: `Paging looped after page ${pageCount}` };
+    }
+    seenLinks.add(nextLink);
 
-      return response.json();
+    let data;
+    try {
+      data = await substrateFetch(nextLink, tokenData);
     } catch (err) {
-      lastError = err;
-      if (attempt < maxRetries - 1) {
-        console.log(`[Background] Fetch error, retrying: ${err.message}`);
-        await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
-      }
+      if (pageCount === 0) throw err;
+      console.warn(`[Background] Paging stopped after page ${pageCount}:`, err.message);
+      return { items, partial: true, error: `Paging stopped after page ${pageCount}: ${err.message}` };
+    }
+
+    pageCount++;
+    // Substrate API uses PascalCase - 'Value' not 'value'
+    const page = data.Value || data.value || (Array.isArray(data) ? data : []);
+    items = items.concat(page);
+    nextLink = data['@odata.nextLink'] || data.NextLink || data['odata.nextLink'] || null;
+
+    if (label && (nextLink || pageCount > 1)) {
+      sendProgressToTab(tabId, {
+        status: 'extracting',
+        message: `Fetched page ${pageCount} of ${label} (${items.length} so far)...`
+      });
     }
   }
 
-  throw lastError || new Error('Max retries exceeded');
+  return { items, partial: false, error: null };
+}
+
+// Normalize a Substrate recurrence ({ Pattern, Range }) to camelCase
+function mapToDoRecurrence(recurrence) {
+  if (!recurrence) return null;
+  const pattern = recurrence.Pattern || recurrence.pattern || {};
+  const range = recurrence.Range || recurrence.range || {};
+  const dateValue = (value) => (typeof value === 'object' ? (value?.DateTime || value?.dateTime) : value) || null;
+  return {
+    pattern: {
+      type: pattern.Type || pattern.type || null,
+      interval: pattern.Interval || pattern.interval || 1,
+      daysOfWeek: pattern.DaysOfWeek || pattern.daysOfWeek || [],
+      dayOfMonth: pattern.DayOfMonth || pattern.dayOfMonth || null,
+      month: pattern.Month || pattern.month || null,
+      index: pattern.Index || pattern.index || null,
+      firstDayOfWeek: pattern.FirstDayOfWeek || pattern.firstDayOfWeek || null
+    },
+    range: {
+      type: range.Type || range.type || null,
+      startDate: dateValue(range.StartDate || range.startDate),
+      endDate: dateValue(range.EndDate || range.endDate),
+      numberOfOccurrences: range.NumberOfOccurrences || range.numberOfOccurrences || null
+    }
+  };
+}
+
+// Attachment metadata only - the file contents stay on the server.
+// Returns { attachments, partial, error } like substrateFetchAll
+async function fetchToDoAttachments(taskId, tokenData) {
+  const { items, partial, error } = await substrateFetchAll(`/tasks/${taskId}/attachments`, tokenData);
+  const attachments = items.map(a => ({
+    id: a.Id || a.id,
+    name: a.Name || a.name || '',
+    contentType: a.ContentType || a.contentType || null,
+    size: a.Size ?? a.size ?? null,
+    isInline: a.IsInline || a.isInline || false,
+    lastModifiedDateTime: a.LastModifiedDateTime || a.lastModifiedDateTime || null
+  }));
+  return { attachments, partial, error };
 }
 
 // tokenData can be string (token only) or object { token, anchorMailbox }
-async function fetchToDoListData(listId, listName, tokenData, tabId) {
+// options.allLists exports every list instead of the one named by listName/listId
+async function fetchToDoListData(listId, listName, tokenData, tabId, options = {}) {
+  const allLists = !!options.allLists;
   console.log('[Background] Fetching To Do data via Substrate API...');
   console.log('[Background] List ID:', listId);
   console.log('[Background] List Name:', listName);
+  console.log('[Background] All lists:', allLists);
 
   sendProgressToTab(tabId, { status: 'fetching', message: 'Fetching To Do lists...' });
 
   // Fetch all task folders (lists) from Substrate API
   let lists = [];
   let targetList = null;
+  const partialReasons = []; // Why the export may be missing tasks
 
   try {
-    const listsData = await substrateFetch('/taskfolders?maxPageSize=200', tokenData);
-    // Substrate API uses PascalCase - 'Value' not 'value'
-    lists = listsData.Value || listsData.value || listsData || [];
+    const listsResult = await substrateFetchAll('/taskfolders?maxPageSize=200', tokenData, { tabId, label: 'To Do lists' });
+    lists = listsResult.items;
+    if (listsResult.partial) {
+      partialReasons.push(`Lists: ${listsResult.error}`);
+    }
     console.log('[Background] Found', lists.length, 'To Do lists');
     console.log('[Background] Lists structure sample:', lists[0]);
   } catch (err) {
@@ -827,7 +1343,7 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
   }
 
   // Find the target list by name first (more reliable from DOM), then by ID
-  if (listName) {
+  if (listName && !allLists) {
     // Try to find by name (Substrate uses 'Name' with capital N)
     targetList = lists.find(l =>
       (l.Name || l.DisplayName || l.name || l.displayName || '').toLowerCase() === listName.toLowerCase()
@@ -836,21 +1352,43 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
   }
 
   // If not found by name, try by ID
-  if (!targetList && listId) {
+  if (!targetList && listId && !allLists) {
     // Substrate uses PascalCase - 'Id' (capital I) for the folder ID
     targetList = lists.find(l => l.Id === listId || l.id === listId);
     console.log('[Background] Found list by ID:', targetList ? 'Yes' : 'No');
   }
 
   // If we have a list name but couldn't find it, throw an error
-  if (listName && !targetList) {
+  if (listName && !targetList && !allLists) {
     console.error('[Background] Could not find list:', listName);
     console.log('[Background] Available lists:', lists.map(l => l.Name || l.name));
     throw new Error(`List "${listName}" not found. Please navigate to a specific list.`);
   }
 
-  // If no target list found and no name specified, use all lists (fallback)
-  const listsToFetch = targetList ? [targetList] : lists;
+  // Exporting every list is an explicit choice, not a fallback
+  if (!targetList && !allLists) {
+    throw new Error('No To Do list detected. Open a list, or use "Export All Lists" to export every list.');
+  }
+
+  const listsToFetch = allLists ? lists : [targetList];
+
+  // List groups (folders of lists) only matter when exporting everything
+  const groupMap = {};
+  if (allLists) {
+    try {
+      const { items: groups, partial, error } = await substrateFetchAll('/taskgroups', tokenData);
+      if (partial) {
+        partialReasons.push(`List groups: ${error}`);
+      }
+      groups.forEach(g => {
+        const name = g.Name || g.name || 'Unnamed Group';
+        groupMap[g.GroupKey || g.groupKey || g.Id || g.id] = { id: g.Id || g.id, name };
+      });
+      console.log('[Background] Found', groups.length, 'list groups');
+    } catch (err) {
+      console.warn('[Background] Could not fetch list groups:', err.message);
+    }
+  }
 
   if (targetList) {
     const targetName = targetList.Name || targetList.name;
@@ -890,10 +1428,15 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
     });
 
     try {
-      // Fetch tasks for this folder from Substrate API
-      const tasksData = await substrateFetch(`/taskfolders/${folderId}/tasks?maxPageSize=200`, tokenData);
-      // Substrate API uses PascalCase - 'Value' not 'value'
-      let listTasks = tasksData.Value || tasksData.value || tasksData || [];
+      // Fetch every page of tasks for this folder from Substrate API
+      const tasksResult = await substrateFetchAll(`/taskfolders/${folderId}/tasks?maxPageSize=200`, tokenData, {
+        tabId,
+        label: `"${folderName}" tasks`
+      });
+      const listTasks = tasksResult.items;
+      if (tasksResult.partial) {
+        partialReasons.push(`"${folderName}": ${tasksResult.error} (${listTasks.length} tasks read)`);
+      }
 
       console.log(`[Background] Fetched ${listTasks.length} tasks from "${folderName}"`);
       if (listTasks.length > 0) {
@@ -909,6 +1452,31 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
       allTasks = allTasks.concat(listTasks);
     } catch (err) {
       console.error(`Error fetching tasks for folder ${folderName}:`, err);
+      partialReasons.push(`"${folderName}": ${err.message}`);
+    }
+  }
+
+  // Attachment metadata needs one request per task that has attachments
+  const attachmentMap = {};
+  const tasksWithAttachments = allTasks.filter(t => t.HasAttachments || t.hasAttachments);
+  for (let i = 0; i < tasksWithAttachments.length; i++) {
+    const taskId = tasksWithAttachments[i].Id || tasksWithAttachments[i].id;
+    sendProgressToTab(tabId, {
+      status: 'extracting',
+      message: `Fetching attachment details ${i + 1}/${tasksWithAttachments.length}...`,
+      total: tasksWithAttachments.length,
+      current: i
+    });
+    try {
+      const result = await fetchToDoAttachments(taskId, tokenData);
+      attachmentMap[taskId] = result.attachments;
+      if (result.partial) {
+        const task = tasksWithAttachments[i];
+        const title = task.Subject || task.subject || task.Title || task.title || taskId;
+        partialReasons.push(`Attachments of "${title}": ${result.error}`);
+      }
+    } catch (err) {
+      console.warn('[Background] Could not fetch attachments for task', taskId, err.message);
     }
   }
 
@@ -919,6 +1487,10 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
     current: 0
   });
 
+  // My Day membership is the task's committed day being today
+  const today = new Date();
+  const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
   // Transform tasks to common format
   // Substrate API uses PascalCase property names
   const enrichedTasks = allTasks.map((task) => {
@@ -942,6 +1514,10 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
     const checklistItems = task.Subtasks || task.SubTasks || task.Checklist || task.ChecklistItems ||
                            task.subtasks || task.checklist || task.checklistItems || [];
 
+    const committedDay = task.CommittedDay || task.committedDay;
+    const myDayDate = (typeof committedDay === 'object' ? (committedDay?.DateTime || committedDay?.dateTime) : committedDay) || null;
+    const linkedEntities = task.LinkedEntities || task.LinkedResources || task.linkedEntities || task.linkedResources || [];
+
     return {
       id: taskId,
       title: title,
@@ -975,7 +1551,18 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
       isReminderOn: task.IsReminderOn || task.isReminderOn || false,
       reminderDateTime: task.ReminderDate || task.ReminderDateTime || task.reminderDateTime || null,
       hasAttachments: task.HasAttachments || task.hasAttachments || false,
+      attachments: attachmentMap[taskId] || [],
       categories: task.Categories || task.categories || [],
+      recurrence: mapToDoRecurrence(task.Recurrence || task.recurrence),
+      isInMyDay: task.IsInMyDay ?? task.isInMyDay ?? (myDayDate ? myDayDate.startsWith(todayKey) : false),
+      myDayDate: myDayDate,
+      linkedResources: (Array.isArray(linkedEntities) ? linkedEntities : []).map(link => ({
+        id: link.Id || link.id,
+        displayName: link.DisplayName || link.displayName || link.PreviewText || '',
+        webUrl: link.WebLink || link.WebUrl || link.webUrl || link.weblink || null,
+        applicationName: link.ApplicationName || link.applicationName || link.ExtensionId || null,
+        externalId: link.ExternalId || link.externalId || null
+      })),
 
       // Meta - Substrate uses PascalCase
       createdDateTime: task.CreatedDateTime || task.DateTimeCreated || task.createdDateTime,
@@ -989,7 +1576,7 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
 
   sendProgressToTab(tabId, {
     status: 'complete',
-    message: `Fetched ${enrichedTasks.length} tasks from To Do`,
+    message: `Fetched ${enrichedTasks.length} tasks from To Do${partialReasons.length ? ' (partial)' : ''}`,
     total: enrichedTasks.length,
     current: enrichedTasks.length
   });
@@ -1013,8 +1600,16 @@ async function fetchToDoListData(listId, listName, tokenData, tabId) {
       name: l.Name || l.DisplayName || l.name || l.displayName || 'Unknown',
       isShared: l.IsShared || l.isShared || false,
       isOwner: l.IsOwner !== false && l.isOwner !== false,
-      wellknownListName: l.WellknownListName || l.wellknownListName
+      sharingStatus: l.SharingStatus || l.sharingStatus || null,
+      wellknownListName: l.WellknownListName || l.wellknownListName,
+      groupId: groupMap[l.ParentGroupKey || l.parentGroupKey]?.id || null,
+      groupName: groupMap[l.ParentGroupKey || l.parentGroupKey]?.name || null
     })),
+    listGroups: Object.values(groupMap),
+    allLists,
+    // Set when paging aborted or a list failed, so the export is known to be incomplete
+    partial: partialReasons.length > 0,
+    partialReasons,
     bucketMap: listMap,
     source: 'todo-substrate-api',
     serviceType: 'todo',
@@ -1102,7 +1697,7 @@ async function createToDoTask(tokenData, listId, taskData) {
     console.log('[Background] Using X-AnchorMailbox for createToDoTask:', anchorMailbox);
   }
 
-  const response = await fetch(
+  const response = await scheduledFetch(
     `${TODO_SUBSTRATE_API}/taskfolders/${listId}/tasks`,
     {
       method: 'POST',
@@ -1146,7 +1741,7 @@ async function addToDoChecklistItem(tokenData, taskId, stepText, isCompleted = f
     headers['X-AnchorMailbox'] = anchorMailbox;
   }
 
-  const response = await fetch(
+  const response = await scheduledFetch(
     `${TODO_SUBSTRATE_API}/tasks/${taskId}/subtasks`,
     {
       method: 'POST',
@@ -1216,11 +1811,6 @@ async function importTasksToToDo(tokenData, listId, tasks, tabId) {
         error: err.message
       });
     }
-
-    // Small delay to avoid rate limiting
-    if (i < tasks.length - 1) {
-      await new Promise(r => setTimeout(r, 200));
-    }
   }
 
   sendProgressToTab(tabId, {
@@ -1234,27 +1824,477 @@ async function importTasksToToDo(tokenData, listId, tasks, tabId) {
 }
 
 // ============================================
-// MESSAGE HANDLERS
+// EXPORT SNAPSHOTS
 // ============================================
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  const tabId = sender.tab?.id;
+// Each full export is stored under its own key with a small index
+// (plannerExportSnapshots), so listing snapshots never loads task data
+const SNAPSHOT_KEY_PREFIX = 'plannerExportSnapshot:';
+const MAX_SNAPSHOTS_PER_PLAN = 10;
 
-  // Store token from content script
-  if (request.action === 'storeToken') {
-    const { type, token, metadata } = request;
-    storeToken(type, token, metadata)
-      .then(() => sendResponse({ success: true }))
-      .catch(err => sendResponse({ success: false, error: err.message }));
-    return true;
+function getSnapshotPlanKey(exportData) {
+  return `${exportData.planType || 'unknown'}:${exportData.plan?.id || exportData.planName || 'plan'}`;
+}
+
+// The index is read, changed and written back, so a scheduled export finishing during a
+// manual one would drop the other's entry; writes go through this chain one at a time
+let snapshotWriteQueue = Promise.resolve();
+
+function storeExportSnapshot(exportData, metadata = {}) {
+  const write = snapshotWriteQueue.then(() => writeExportSnapshot(exportData, metadata));
+  snapshotWriteQueue = write.catch(() => {}); // A failed write shouldn't block the next one
+  return write;
+}
+
+async function writeExportSnapshot(exportData, metadata) {
+  const stored = await chrome.storage.local.get(['plannerExportSnapshots', 'plannerExportHistory']);
+  const snapshots = stored.plannerExportSnapshots || [];
+  const snapshot = {
+    id: generateUUID(),
+    planKey: getSnapshotPlanKey(exportData),
+    planName: exportData.planName || exportData.plan?.title || 'Unknown Plan',
+    taskCount: exportData.tasks?.length || 0,
+    exportedAt: exportData.exportedAt || new Date().toISOString(),
+    partial: !!exportData.partial,
+    ...metadata
+  };
+
+  // Drop the oldest snapshots of this plan beyond the limit
+  const expired = snapshots
+    .filter(s => s.planKey === snapshot.planKey)
+    .slice(MAX_SNAPSHOTS_PER_PLAN - 1);
+  const nextSnapshots = [snapshot, ...snapshots.filter(s => !expired.includes(s))];
+
+  const exportHistory = stored.plannerExportHistory || [];
+  exportHistory.unshift({
+    planName: snapshot.planName,
+    taskCount: snapshot.taskCount,
+    exportedAt: snapshot.exportedAt,
+    scheduled: !!metadata.scheduleId,
+    snapshotId: snapshot.id
+  });
+
+  // Keep only last 10 exports
+  if (exportHistory.length > 10) {
+    exportHistory.pop();
   }
 
-  // Get all stored tokens
-  if (request.action === 'getTokens') {
-    getAllTokens()
-      .then(tokens => sendResponse(tokens))
-      .catch(err => sendResponse({ error: err.message }));
-    return true;
+  await chrome.storage.local.set({
+    [SNAPSHOT_KEY_PREFIX + snapshot.id]: exportData,
+    plannerExportSnapshots: nextSnapshots,
+    plannerExportHistory: exportHistory
+  });
+
+  // Remove expired snapshots, plus any data key the index no longer lists
+  // (left behind by writes that raced before they were serialized)
+  const indexedKeys = new Set(nextSnapshots.map(s => SNAPSHOT_KEY_PREFIX + s.id));
+  const storedKeys = chrome.storage.local.getKeys
+    ? await chrome.storage.local.getKeys()
+    : Object.keys(await chrome.storage.local.get(null));
+  const orphanedKeys = storedKeys.filter(key => key.startsWith(SNAPSHOT_KEY_PREFIX) && !indexedKeys.has(key));
+  if (orphanedKeys.length > 0) {
+    await chrome.storage.local.remove(orphanedKeys);
+  }
+
+  return snapshot;
+}
+
+// ============================================
+// SCHEDULED EXPORTS
+// ============================================
+
+const SCHEDULE_ALARM_PREFIX = 'scheduledExport:';
+const runningSchedules = new Set();
+
+async function getScheduledExports() {
+  const result = await chrome.storage.local.get('scheduledExports');
+  return result.scheduledExports || [];
+}
+
+async function saveScheduledExports(schedules) {
+  await chrome.storage.local.set({ scheduledExports: schedules });
+}
+
+// Create or replace a schedule; an interval of 0 removes it
+async function setScheduledExport(schedule) {
+  const schedules = await getScheduledExports();
+  const existing = schedules.find(s => s.id === schedule.id);
+  const others = schedules.filter(s => s.id !== schedule.id);
+  const alarmName = SCHEDULE_ALARM_PREFIX + schedule.id;
+
+  await chrome.alarms.clear(alarmName);
+
+  if (!schedule.intervalMinutes) {
+    await saveScheduledExports(others);
+    return null;
+  }
+
+  const saved = {
+    ...existing,
+    ...schedule,
+    createdAt: existing?.createdAt || Date.now()
+  };
+  await saveScheduledExports([...others, saved]);
+  chrome.alarms.create(alarmName, {
+    delayInMinutes: saved.intervalMinutes,
+    periodInMinutes: saved.intervalMinutes
+  });
+  return saved;
+}
+
+// Alarms can be dropped when the browser restarts; recreate any that are missing
+async function restoreScheduledExportAlarms() {
+  const schedules = await getScheduledExports();
+  for (const schedule of schedules) {
+    const alarmName = SCHEDULE_ALARM_PREFIX + schedule.id;
+    const alarm = await chrome.alarms.get(alarmName);
+    if (!alarm) {
+      chrome.alarms.create(alarmName, {
+        delayInMinutes: schedule.intervalMinutes,
+        periodInMinutes: schedule.intervalMinutes
+      });
+    }
+  }
+}
+
+// Read the exp claim of a JWT; null when the token can't be decoded
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isTokenExpired(token) {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+}
+
+// Re-run the API extraction for a schedule with the cached tokens.
+// Nobody watches a scheduled run's progress, so it is dropped
+async function fetchScheduledExportData(schedule) {
+  const ignoreProgress = () => {};
+  const expiredError = (service) => {
+    const error = new Error(`${service} token expired. Open the ${service === 'To Do' ? 'To Do list' : 'plan'} in the browser to refresh it.`);
+    error.tokenExpired = true;
+    return error;
+  };
+
+  if (schedule.serviceType === 'todo') {
+    const tokenData = await getFreshToDoToken();
+    if (!tokenData?.token || isTokenExpired(tokenData.token)) throw expiredError('To Do');
+    return fetchToDoListData(schedule.listId, schedule.listName, tokenData, ignoreProgress, {
+      allLists: !schedule.listId && !schedule.listName
+    });
+  }
+
+  if (schedule.planType === 'premium') {
+    const stored = await getToken('PSS');
+    if (!stored?.token || isTokenExpired(stored.token)) throw expiredError('Project');
+    return fetchPremiumPlanData(schedule.targetId, stored.token, ignoreProgress);
+  }
+
+  const stored = await getToken('GRAPH');
+  if (!stored?.token || isTokenExpired(stored.token)) throw expiredError('Graph');
+  return fetchBasicPlanData(schedule.targetId, stored.token, ignoreProgress);
+}
+
+async function runScheduledExport(scheduleId) {
+  if (runningSchedules.has(scheduleId)) return;
+
+  const schedule = (await getScheduledExports()).find(s => s.id === scheduleId);
+  if (!schedule) {
+    chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+    return;
+  }
+
+  runningSchedules.add(scheduleId);
+  console.log('[Background] Running scheduled export:', schedule.name);
+
+  let outcome;
+  try {
+    const data = await fetchScheduledExportData(schedule);
+    const isToDoService = schedule.serviceType === 'todo';
+
+    // Same shape content.js stores as plannerExportData, so results.html can open it
+    const exportData = {
+      ...data,
+      serviceType: schedule.serviceType || 'planner',
+      plan: data.plan || { id: schedule.targetId, title: schedule.name },
+      planName: isToDoService ? (data.plan?.title || schedule.name) : schedule.name,
+      planType: isToDoService ? 'todo' : schedule.planType,
+      buckets: data.buckets || [],
+      bucketMap: data.bucketMap || {},
+      detailsMap: data.detailsMap || {},
+      exportedAt: new Date().toISOString(),
+      scheduleId
+    };
+
+    await storeExportSnapshot(exportData, { scheduleId });
+
+    if (schedule.download === 'json' || schedule.download === 'csv') {
+      await downloadScheduledExport(schedule, exportData);
+    }
+
+    outcome = {
+      lastRunAt: Date.now(),
+      lastStatus: 'success',
+      lastError: null,
+      lastTaskCount: exportData.tasks?.length || 0,
+      lastPartial: !!exportData.partial
+    };
+  } catch (err) {
+    console.error('[Background] Scheduled export failed:', err);
+    const tokenExpired = err.tokenExpired || /\b401\b/.test(err.message);
+    outcome = {
+      lastRunAt: Date.now(),
+      lastStatus: 'error',
+      lastError: err.message,
+      tokenExpired
+    };
+    if (tokenExpired) {
+      updateBadge({ status: 'scheduleError' });
+    }
+  } finally {
+    runningSchedules.delete(scheduleId);
+  }
+
+  // Re-read so a schedule edited or removed while running isn't overwritten
+  const schedules = await getScheduledExports();
+  const index = schedules.findIndex(s => s.id === scheduleId);
+  if (index !== -1) {
+    schedules[index] = { ...schedules[index], ...outcome };
+    await saveScheduledExports(schedules);
+  }
+  return outcome;
+}
+
+// Service workers can't create object URLs, so downloads go through a data URL
+async function downloadScheduledExport(schedule, exportData) {
+  const safeName = (exportData.planName || 'plan').replace(/[^a-z0-9]/gi, '-').toLowerCase();
+  const timestamp = exportData.exportedAt.replace(/[:.]/g, '-');
+  const isCsv = schedule.download === 'csv';
+  const content = isCsv ? ExportCsv.build(exportData).csv : JSON.stringify(exportData, null, 2);
+  const mimeType = isCsv ? 'text/csv' : 'application/json';
+
+  await chrome.downloads.download({
+    url: `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+    filename: `planner-exports/${safeName}-${timestamp}.${isCsv ? 'csv' : 'json'}`,
+    conflictAction: 'uniquify',
+    saveAs: false
+  });
+}
+
+// ============================================
+// BULK EXPORT - ALL PLANS (Graph API)
+// ============================================
+
+// Follow @odata.nextLink until every page of a Graph collection is read
+async function graphFetchAll(endpoint, token) {
+  let items = [];
+  let nextLink = endpoint;
+  while (nextLink) {
+    const response = await graphFetch(nextLink, token);
+    if (!response.ok) {
+      throw new Error(`Graph request failed: ${response.status}`);
+    }
+    const data = await response.json();
+    items = items.concat(data.value || []);
+    nextLink = data['@odata.nextLink'];
+  }
+  return items;
+}
+
+async function getBulkGraphToken() {
+  const stored = await getToken('GRAPH');
+  if (!stored?.token || isTokenExpired(stored.token)) {
+    throw new Error('Graph token missing or expired. Open any plan in Planner to refresh it.');
+  }
+  return stored.token;
+}
+
+// Every plan the user can reach: their own plans, plans of their groups,
+// and plans that only show up through tasks assigned to them
+async function listBulkPlans(token) {
+  const plans = new Map();
+  const warnings = [];
+  const addPlan = (plan, source, groupName = null) => {
+    if (!plans.has(plan.id)) {
+      plans.set(plan.id, {
+        id: plan.id,
+        title: plan.title || 'Untitled Plan',
+        groupId: plan.container?.containerId || plan.owner || null,
+        groupName,
+        source
+      });
+    }
+  };
+
+  (await graphFetchAll('/me/planner/plans', token)).forEach(plan => addPlan(plan, 'mine'));
+
+  try {
+    const groups = await graphFetchAll('/me/memberOf/microsoft.graph.group?$select=id,displayName', token);
+    for (const group of groups) {
+      try {
+        const groupPlans = await graphFetchAll(`/groups/${group.id}/planner/plans`, token);
+        groupPlans.forEach(plan => addPlan(plan, 'group', group.displayName));
+      } catch (e) {
+        // Groups without Planner (or without access) are skipped
+      }
+    }
+  } catch (e) {
+    warnings.push(`Could not list groups: ${e.message}`);
+  }
+
+  try {
+    const tasks = await graphFetchAll('/me/planner/tasks', token);
+    const unknownPlanIds = [...new Set(tasks.map(t => t.planId))].filter(id => id && !plans.has(id));
+    for (const planId of unknownPlanIds) {
+      const response = await graphFetch(`/planner/plans/${planId}`, token);
+      if (response.ok) {
+        addPlan(await response.json(), 'assigned');
+      }
+    }
+  } catch (e) {
+    warnings.push(`Could not list assigned tasks: ${e.message}`);
+  }
+
+  return { plans: Array.from(plans.values()), warnings };
+}
+
+// Each exported plan is stored under its own key for bulk.html to read, since a whole
+// tenant's worth of plans can exceed the size limit of a single message
+const BULK_EXPORT_KEY_PREFIX = 'bulkExportPlan:';
+
+// Export the selected plans one after another. Resolves to { exports, failed } where each
+// export names the storage key holding that plan's data. Progress goes through the shared
+// extraction state (method 'graph-api-bulk') so the popup shows the run, which is why it
+// won't start over an extraction that is still going
+async function bulkExportPlans(plans, token) {
+  if (extractionState.status === 'extracting') {
+    throw new Error('Another export is still running. Try again when it finishes.');
+  }
+
+  updateExtractionState({
+    status: 'extracting',
+    startedAt: Date.now(),
+    error: null,
+    retryCount: 0,
+    method: 'graph-api-bulk',
+    progress: { status: 'fetching', message: `Exporting ${plans.length} plans...`, current: 0, total: plans.length, unit: 'plans' }
+  });
+
+  try {
+    const result = await runBulkExport(plans, token);
+    if (result.exports.length === 0 && result.failed.length > 0) {
+      updateExtractionState({
+        status: 'error',
+        error: `None of the ${plans.length} plans could be exported`,
+        completedAt: Date.now()
+      });
+    } else {
+      const taskCount = result.exports.reduce((sum, e) => sum + e.taskCount, 0);
+      updateExtractionState({
+        status: 'complete',
+        completedAt: Date.now(),
+        taskCount,
+        progress: { status: 'complete', message: `Exported ${result.exports.length} of ${plans.length} plans` }
+      });
+    }
+    return result;
+  } catch (err) {
+    updateExtractionState({ status: 'error', error: err.message, completedAt: Date.now() });
+    throw err;
+  }
+}
+
+async function runBulkExport(plans, token) {
+  const exports = [];
+  const failed = [];
+
+  // Drop plans a previous run left behind (e.g. bulk.html closed before saving)
+  const stored = await chrome.storage.local.get(null);
+  const staleKeys = Object.keys(stored).filter(key => key.startsWith(BULK_EXPORT_KEY_PREFIX));
+  if (staleKeys.length > 0) {
+    await chrome.storage.local.remove(staleKeys);
+  }
+
+  // current/total count plans; bulkPlan.fraction is how far into the current plan's tasks we are
+  const reportProgress = (index, title, fraction, message) => updateExtractionState({
+    progress: {
+      status: 'fetching',
+      message,
+      current: index,
+      total: plans.length,
+      unit: 'plans',
+      bulkPlan: { index, total: plans.length, title, fraction }
+    }
+  });
+
+  for (let i = 0; i < plans.length; i++) {
+    const plan = plans[i];
+    reportProgress(i, plan.title, 0, `Exporting plan ${i + 1}/${plans.length}: ${plan.title}`);
+
+    try {
+      const data = await fetchBasicPlanData(plan.id, token, progress => reportProgress(
+        i,
+        plan.title,
+        progress.total ? (progress.current || 0) / progress.total : 0,
+        `Plan ${i + 1}/${plans.length} (${plan.title}): ${progress.message || ''}`
+      ));
+      // Same shape content.js stores as plannerExportData
+      const exportData = {
+        ...data,
+        serviceType: 'planner',
+        plan: data.plan || { id: plan.id, title: plan.title },
+        planName: data.plan?.title || plan.title,
+        planType: 'basic',
+        buckets: data.buckets || [],
+        bucketMap: data.bucketMap || {},
+        detailsMap: data.detailsMap || {},
+        exportedAt: new Date().toISOString()
+      };
+      const storageKey = `${BULK_EXPORT_KEY_PREFIX}${plan.id}`;
+      await chrome.storage.local.set({ [storageKey]: exportData });
+      exports.push({
+        planId: plan.id,
+        title: exportData.planName,
+        taskCount: exportData.tasks?.length || 0,
+        storageKey
+      });
+    } catch (err) {
+      console.error('[Background] Bulk export failed for plan:', plan.title, err);
+      failed.push({ planId: plan.id, title: plan.title, error: err.message });
+    }
+  }
+
+  return { exports, failed };
+}
+
+// ============================================
+// MESSAGE HANDLERS
+// ============================================
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const tabId = sender.tab?.id;
+
+  // Store token from content script
+  if (request.action === 'storeToken') {
+    const { type, token, metadata } = request;
+    storeToken(type, token, metadata)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Get all stored tokens
+  if (request.action === 'getTokens') {
+    getAllTokens()
+      .then(tokens => sendResponse(tokens))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
   }
 
   // Get sender tab ID
@@ -1275,6 +2315,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       status: 'extracting',
       startedAt: Date.now(),
       error: null,
+      retryCount: 0,
       method: request.method || 'dom',
       progress: { status: 'extracting', message: 'DOM extraction in progress...' }
     });
@@ -1322,6 +2363,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       status: 'extracting',
       startedAt: Date.now(),
       error: null,
+      retryCount: 0,
       method: 'graph-api',
       progress: { status: 'fetching', message: 'Starting Graph API extraction...' }
     });
@@ -1382,19 +2424,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         status: 'extracting',
         startedAt: Date.now(),
         error: null,
+        retryCount: 0,
         method: 'todo-substrate-api',
-        progress: { status: 'fetching', message: `Fetching "${listName || 'To Do'}" list...` }
+        progress: { status: 'fetching', message: request.allLists ? 'Fetching all To Do lists...' : `Fetching "${listName || 'To Do'}" list...` }
       });
 
       // Pass tokenData (with anchorMailbox) instead of just token
-      fetchToDoListData(listId, listName, tokenData, targetTabId)
+      fetchToDoListData(listId, listName, tokenData, targetTabId, { allLists: !!request.allLists })
         .then(data => {
           const listTitle = data.plan?.title || listName || 'To Do';
+          const partialNote = data.partial ? ' (partial - some pages could not be read)' : '';
           updateExtractionState({
             status: 'complete',
             completedAt: Date.now(),
             taskCount: data.tasks?.length || 0,
-            progress: { status: 'complete', message: `Extracted ${data.tasks?.length || 0} tasks from "${listTitle}"` }
+            progress: { status: 'complete', message: `Extracted ${data.tasks?.length || 0} tasks from "${listTitle}"${partialNote}` }
           });
           sendResponse({ success: true, data });
         })
@@ -1515,6 +2559,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       status: 'extracting',
       startedAt: Date.now(),
       error: null,
+      retryCount: 0,
       method: 'pss-api',
       progress: { status: 'fetching', message: 'Starting PSS API extraction...' }
     });
@@ -1594,7 +2639,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       } catch (error) {
         console.error('[Background] getToDoImportSession error:', error);
         // Provide actionable error message
-        if (error.message.includes('401') || error.message.includes('Max retries')) {
+        if (error.message.includes('401')) {
           sendResponse({
             success: false,
             error: 'Authentication failed. Please open to-do.office.com, scroll or click on tasks, then try again.'
@@ -1719,10 +2764,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           payload.startDateTime = formatDateForGraph(taskData.startDateTime);
         }
 
+        if (taskData.percentComplete) {
+          payload.percentComplete = taskData.percentComplete;
+        }
+
         // Assignments - Graph API format: { "userId": { "@odata.type": "...", "orderHint": " !" } }
-        // Note: assignedTo contains emails, but Graph API needs user IDs
-        // For now, we skip assignments since resolving emails to IDs requires additional API calls
-        // TODO: Add user lookup if needed
+        // assigneeIds are resolved from the AssignedTo emails by resolveBasicAssignees
+        if (taskData.assigneeIds && taskData.assigneeIds.length > 0) {
+          payload.assignments = {};
+          for (const userId of taskData.assigneeIds) {
+            payload.assignments[userId] = {
+              '@odata.type': '#microsoft.graph.plannerAssignment',
+              orderHint: ' !'
+            };
+          }
+        }
 
         const response = await graphFetch(`/planner/tasks`, token, {
           method: 'POST',
@@ -1744,6 +2800,105 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Get existing tasks of a Planner Basic plan (for update-in-place imports)
+  if (request.action === 'getBasicImportTasks') {
+    const { planId, token } = request;
+
+    // Progress is dropped so the lookup doesn't touch the popup's extraction state
+    fetchBasicPlanData(planId, token, () => {})
+      .then(data => sendResponse({
+        success: true,
+        data: { tasks: data.tasks, detailsMap: data.detailsMap, bucketMap: data.bucketMap }
+      }))
+      .catch(error => {
+        console.error('[Background] getBasicImportTasks error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Update changed fields of a Planner Basic task. The etags are the ones the import page
+  // loaded for its preview, so anything edited in Planner since then fails with 412
+  // instead of being overwritten with values diffed against stale data
+  if (request.action === 'updateBasicImportTask') {
+    const { taskId, token, changes, etag, detailsEtag } = request;
+
+    (async () => {
+      try {
+        const { description, ...taskChanges } = changes;
+
+        if (Object.keys(taskChanges).length > 0) {
+          if (!etag) {
+            throw new Error('The preview has no version of this task. Reload the preview and try again.');
+          }
+          const patchPayload = { ...taskChanges };
+          if ('dueDateTime' in patchPayload) {
+            patchPayload.dueDateTime = formatDateForGraph(patchPayload.dueDateTime);
+          }
+          if ('startDateTime' in patchPayload) {
+            patchPayload.startDateTime = formatDateForGraph(patchPayload.startDateTime);
+          }
+
+          const patchResponse = await graphFetch(`/planner/tasks/${taskId}`, token, {
+            method: 'PATCH',
+            headers: {
+              'If-Match': etag
+            },
+            body: JSON.stringify(patchPayload)
+          });
+
+          if (patchResponse.status === 412) {
+            throw new Error('Changed in Planner since the preview. Reload the preview and try again.');
+          }
+          if (!patchResponse.ok && patchResponse.status !== 204) {
+            const errorText = await patchResponse.text().catch(() => '');
+            throw new Error(`Failed to update task: ${patchResponse.status} ${errorText}`);
+          }
+        }
+
+        if (description !== undefined) {
+          if (!detailsEtag) {
+            throw new Error('The preview has no version of this task\'s notes. Reload the preview and try again.');
+          }
+          const patchResponse = await graphFetch(`/planner/tasks/${taskId}/details`, token, {
+            method: 'PATCH',
+            headers: {
+              'If-Match': detailsEtag
+            },
+            body: JSON.stringify({ description: description || '' })
+          });
+
+          if (patchResponse.status === 412) {
+            throw new Error('Notes changed in Planner since the preview. Reload the preview and try again.');
+          }
+          if (!patchResponse.ok && patchResponse.status !== 204) {
+            const errorText = await patchResponse.text().catch(() => '');
+            throw new Error(`Failed to update task details: ${patchResponse.status} ${errorText}`);
+          }
+        }
+
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('[Background] updateBasicImportTask error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
+  // Resolve AssignedTo emails to Graph user IDs for Planner Basic
+  if (request.action === 'resolveBasicAssignees') {
+    const { planId, token, emails } = request;
+
+    resolveGraphUsers(emails || [], planId, token)
+      .then(users => sendResponse({ success: true, data: users }))
+      .catch(error => {
+        console.error('[Background] resolveBasicAssignees error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   // Update task details (description + checklist) for Planner Basic
   if (request.action === 'updateBasicTaskDetails') {
     const { taskId, token, details } = request;
@@ -1767,12 +2922,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
         if (details.checklistItems && details.checklistItems.length > 0) {
           patchPayload.checklist = {};
+          // Items are plain titles or { title, isChecked }
           for (const item of details.checklistItems) {
             const uuid = generateUUID();
             patchPayload.checklist[uuid] = {
               '@odata.type': 'microsoft.graph.plannerChecklistItem',
-              title: item,
-              isChecked: false
+              title: typeof item === 'string' ? item : item.title,
+              isChecked: typeof item === 'string' ? false : !!item.isChecked
             };
           }
         }
@@ -1845,8 +3001,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         };
 
         const [bucketsResp, resourcesResp] = await Promise.allSettled([
-          fetch(`${session.baseUrl}/buckets`, { headers: authHeaders }).then(r => r.ok ? r.json() : []),
-          fetch(`${session.baseUrl}/resources/`, { headers: authHeaders }).then(r => r.ok ? r.json() : [])
+          scheduledFetch(`${session.baseUrl}/buckets`, { headers: authHeaders }).then(r => r.ok ? r.json() : []),
+          scheduledFetch(`${session.baseUrl}/resources/`, { headers: authHeaders }).then(r => r.ok ? r.json() : [])
         ]);
 
         const buckets = bucketsResp.status === 'fulfilled' ?
@@ -1882,7 +3038,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     (async () => {
       try {
-        const response = await fetch(`${baseUrl}/buckets`, {
+        const response = await scheduledFetch(`${baseUrl}/buckets`, {
           method: 'POST',
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -1916,7 +3072,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     (async () => {
       try {
-        const response = await fetch(`${baseUrl}/tasks/`, {
+        const response = await scheduledFetch(`${baseUrl}/tasks/`, {
           method: 'POST',
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -1941,13 +3097,71 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Get existing tasks of a Premium plan (for update-in-place imports)
+  if (request.action === 'getImportTasks') {
+    const { baseUrl, token } = request;
+
+    (async () => {
+      try {
+        const response = await scheduledFetch(`${baseUrl}/tasks/`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Failed to fetch tasks: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        sendResponse({ success: true, data: Array.isArray(data) ? data : data.value || [] });
+      } catch (error) {
+        console.error('[Background] getImportTasks error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
+  // Update changed fields of a Premium task
+  if (request.action === 'updateImportTask') {
+    const { taskId, changes, baseUrl, token } = request;
+
+    (async () => {
+      try {
+        const response = await scheduledFetch(`${baseUrl}/tasks(${taskId})`, {
+          method: 'PATCH',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify(changes)
+        });
+
+        if (!response.ok && response.status !== 204) {
+          const errorText = await response.text();
+          throw new Error(`Failed to update task: ${response.status} - ${errorText}`);
+        }
+
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('[Background] updateImportTask error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
   // Set task parent (for hierarchy)
   if (request.action === 'setTaskParent') {
     const { taskId, parentId, baseUrl, token } = request;
 
     (async () => {
       try {
-        const response = await fetch(`${baseUrl}/tasks(${taskId})`, {
+        const response = await scheduledFetch(`${baseUrl}/tasks(${taskId})`, {
           method: 'PATCH',
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -1971,13 +3185,127 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Create a dependency link for import
+  if (request.action === 'createImportLink') {
+    const { predecessorId, successorId, linkType, lagDays, baseUrl, token } = request;
+
+    (async () => {
+      try {
+        const response = await scheduledFetch(`${baseUrl}/links`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({
+            predecessorId: predecessorId,
+            successorId: successorId,
+            linkType: mapLinkTypeToPss(linkType),
+            lag: Math.round((lagDays || 0) * 8 * 3600)
+          })
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Failed to create link: ${response.status} - ${errorText}`);
+        }
+
+        const createdLink = await response.json().catch(() => ({}));
+        sendResponse({ success: true, data: createdLink });
+      } catch (error) {
+        console.error('[Background] createImportLink error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
+  // Add a team member (resource) to a Premium plan for import
+  if (request.action === 'createImportResource') {
+    const { email, baseUrl, token } = request;
+
+    (async () => {
+      try {
+        // PSS needs the Entra ID object for a new team member; look it up via Graph when possible
+        const payload = { userPrincipalName: email, name: email };
+        const graphTokenData = await getToken('GRAPH');
+        if (graphTokenData?.token) {
+          const users = await resolveGraphUsers([email], null, graphTokenData.token);
+          const user = users[email];
+          if (user?.id) {
+            payload.aadObjectId = user.id;
+            payload.name = user.displayName || email;
+          }
+        }
+
+        const response = await scheduledFetch(`${baseUrl}/resources`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Failed to add team member: ${response.status} - ${errorText}`);
+        }
+
+        const createdResource = await response.json();
+        console.log('[Background] Added team member (PSS):', createdResource.name, createdResource.id);
+        sendResponse({ success: true, data: createdResource });
+      } catch (error) {
+        console.error('[Background] createImportResource error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
+  // Assign a resource to a task for import
+  if (request.action === 'createImportAssignment') {
+    const { taskId, resourceId, baseUrl, token } = request;
+
+    (async () => {
+      try {
+        const response = await scheduledFetch(`${baseUrl}/assignments`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({
+            taskId: taskId,
+            resourceId: resourceId
+          })
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Failed to create assignment: ${response.status} - ${errorText}`);
+        }
+
+        const createdAssignment = await response.json().catch(() => ({}));
+        sendResponse({ success: true, data: createdAssignment });
+      } catch (error) {
+        console.error('[Background] createImportAssignment error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
   // Create checklist item for import
   if (request.action === 'createImportChecklist') {
-    const { taskId, name, baseUrl, token } = request;
+    const { taskId, name, completed, baseUrl, token } = request;
 
     (async () => {
       try {
-        const response = await fetch(`${baseUrl}/tasks(${taskId})/checklistItems`, {
+        const response = await scheduledFetch(`${baseUrl}/tasks(${taskId})/checklistItems`, {
           method: 'POST',
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -1986,7 +3314,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           },
           body: JSON.stringify({
             name: name,
-            completed: false
+            completed: !!completed
           })
         });
 
@@ -2005,6 +3333,81 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // ============================================
+  // SNAPSHOT & SCHEDULED EXPORT HANDLERS
+  // ============================================
+
+  // Store a full export snapshot (popup calls this after each extraction)
+  if (request.action === 'storeExportSnapshot') {
+    storeExportSnapshot(request.data)
+      .then(snapshot => sendResponse({ success: true, data: snapshot }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // List schedules (opening the popup also acknowledges a failed-run badge)
+  if (request.action === 'getScheduledExports') {
+    getScheduledExports()
+      .then(schedules => {
+        if (request.acknowledge && extractionState.status !== 'extracting') {
+          updateBadge({ status: 'idle' });
+        }
+        sendResponse({ success: true, data: schedules });
+      })
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Create, update or (with intervalMinutes 0) remove a schedule
+  if (request.action === 'setScheduledExport') {
+    setScheduledExport(request.schedule)
+      .then(schedule => sendResponse({ success: true, data: schedule }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Run a schedule immediately
+  if (request.action === 'runScheduledExport') {
+    runScheduledExport(request.scheduleId)
+      .then(outcome => sendResponse({ success: outcome?.lastStatus !== 'error', data: outcome, error: outcome?.lastError }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // ============================================
+  // BULK EXPORT HANDLERS
+  // ============================================
+
+  // List every plan reachable with the stored Graph token
+  if (request.action === 'listBulkPlans') {
+    (async () => {
+      try {
+        const token = await getBulkGraphToken();
+        const result = await listBulkPlans(token);
+        sendResponse({ success: true, data: result });
+      } catch (err) {
+        console.error('[Background] listBulkPlans error:', err);
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+  }
+
+  // Export the selected plans
+  if (request.action === 'bulkExportPlans') {
+    (async () => {
+      try {
+        const token = await getBulkGraphToken();
+        const result = await bulkExportPlans(request.plans || [], token);
+        sendResponse({ success: true, data: result });
+      } catch (err) {
+        console.error('[Background] bulkExportPlans error:', err);
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+  }
+
   // Open results page
   if (request.action === 'openResults') {
     chrome.tabs.create({ url: chrome.runtime.getURL('results.html') });
@@ -2048,7 +3451,11 @@ chrome.alarms.create('keepAlive', { periodInMinutes: 1 });
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'keepAlive') {
     // Periodic keep-alive ping
+  } else if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    runScheduledExport(alarm.name.substring(SCHEDULE_ALARM_PREFIX.length));
   }
 });
 
+restoreScheduledExportAlarms();
+
 console.log('[Planner Exporter] Background service worker initialized');
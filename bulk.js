@@ -0,0 +1,251 @@
+/**
+ * Bulk Export Page Script for Planner Exporter
+ * Lists every Planner plan reachable with the stored Graph token and exports the selected ones
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Elements
+  const plansStatusEl = document.getElementById('plans-status');
+  const plansListEl = document.getElementById('plans-list');
+  const btnSelectAll = document.getElementById('btn-select-all');
+  const btnSelectNone = document.getElementById('btn-select-none');
+  const btnReloadPlans = document.getElementById('btn-reload-plans');
+  const selectedCountEl = document.getElementById('selected-count');
+  const formatSelect = document.getElementById('bulk-format');
+  const btnExport = document.getElementById('btn-bulk-export');
+  const progressSection = document.getElementById('bulk-progress');
+  const progressFill = document.getElementById('bulk-progress-fill');
+  const progressText = document.getElementById('bulk-progress-text');
+  const resultsSection = document.getElementById('bulk-results');
+  const resultsSummaryEl = document.getElementById('bulk-results-summary');
+  const resultsListEl = document.getElementById('bulk-results-list');
+
+  // State
+  let plans = [];
+  let isExporting = false;
+
+  const SOURCE_LABELS = {
+    mine: 'My Plans',
+    group: 'Group Plans',
+    assigned: 'Plans With Tasks Assigned to Me'
+  };
+
+  // Load the plan list from background.js
+  async function loadPlans() {
+    plansStatusEl.textContent = 'Loading plans...';
+    plansStatusEl.className = 'plans-status';
+    plansListEl.innerHTML = '';
+    btnExport.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listBulkPlans' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to list plans');
+      }
+
+      plans = response.data.plans;
+      const warnings = response.data.warnings || [];
+      plansStatusEl.textContent = `${plans.length} plan${plans.length !== 1 ? 's' : ''} found` +
+        (warnings.length ? ` (${warnings.join('; ')})` : '');
+      renderPlans();
+    } catch (error) {
+      plans = [];
+      plansStatusEl.textContent = error.message;
+      plansStatusEl.className = 'plans-status error';
+    }
+  }
+
+  // Render plan checkboxes grouped by where the plan was found
+  function renderPlans() {
+    if (plans.length === 0) {
+      plansListEl.innerHTML = '<p class="empty-state">No plans found</p>';
+      updateSelectedCount();
+      return;
+    }
+
+    plansListEl.innerHTML = Object.entries(SOURCE_LABELS).map(([source, label]) => {
+      const group = plans.filter(p => p.source === source)
+        .sort((a, b) => a.title.localeCompare(b.title));
+      if (group.length === 0) return '';
+      return `
+        <div class="plan-group">
+          <h3>${label} (${group.length})</h3>
+          ${group.map(plan => `
+            <label class="plan-option">
+              <input type="checkbox" value="${escapeHtml(plan.id)}" checked>
+              <span class="plan-title">${escapeHtml(plan.title)}</span>
+              ${plan.groupName ? `<span class="plan-group-name">${escapeHtml(plan.groupName)}</span>` : ''}
+            </label>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+
+    updateSelectedCount();
+  }
+
+  function getSelectedPlans() {
+    const ids = new Set(Array.from(plansListEl.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value));
+    return plans.filter(p => ids.has(p.id));
+  }
+
+  function updateSelectedCount() {
+    const count = getSelectedPlans().length;
+    selectedCountEl.textContent = `${count} selected`;
+    btnExport.disabled = isExporting || count === 0;
+  }
+
+  function setAllSelected(checked) {
+    plansListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+      cb.checked = checked;
+    });
+    updateSelectedCount();
+  }
+
+  // Export the selected plans and save them as one archive or one file each
+  async function exportSelected() {
+    const selected = getSelectedPlans();
+    if (selected.length === 0) return;
+
+    const [format, packaging] = formatSelect.value.split('-');
+    isExporting = true;
+    btnExport.disabled = true;
+    progressSection.classList.remove('hidden');
+    resultsSection.classList.add('hidden');
+    progressFill.style.width = '0%';
+    progressText.textContent = `Exporting ${selected.length} plans...`;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'bulkExportPlans',
+        plans: selected.map(p => ({ id: p.id, title: p.title }))
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Bulk export failed');
+      }
+
+      const { exports, failed } = response.data;
+      if (exports.length > 0) {
+        await saveExports(exports, format, packaging);
+      }
+      progressFill.style.width = '100%';
+      progressText.textContent = `Exported ${exports.length} of ${selected.length} plans`;
+      showResults(exports, failed);
+    } catch (error) {
+      progressText.textContent = `Error: ${error.message}`;
+    } finally {
+      isExporting = false;
+      updateSelectedCount();
+    }
+  }
+
+  // background.js stores each plan under entry.storageKey; read it, render it, then free the space
+  async function readExportFile(entry, format) {
+    const stored = await chrome.storage.local.get(entry.storageKey);
+    const data = stored[entry.storageKey];
+    await chrome.storage.local.remove(entry.storageKey);
+    if (!data) {
+      throw new Error(`Export data for "${entry.title}" is missing`);
+    }
+    return format === 'csv' ? ExportCsv.build(data).csv : JSON.stringify(data, null, 2);
+  }
+
+  async function saveExports(exports, format, packaging) {
+    const date = new Date().toISOString().split('T')[0];
+    const usedNames = new Set();
+    const fileNames = exports.map(entry => {
+      // Plans in different groups can share a title
+      let baseName = (entry.title || 'plan').replace(/[^a-z0-9]/gi, '-').toLowerCase();
+      let name = baseName;
+      for (let n = 2; usedNames.has(name); n++) name = `${baseName}-${n}`;
+      usedNames.add(name);
+      return `${name}.${format}`;
+    });
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+
+    // Separate files are written one plan at a time
+    if (packaging !== 'zip') {
+      for (let i = 0; i < exports.length; i++) {
+        const content = await readExportFile(exports[i], format);
+        await downloadBlob(new Blob([content], { type: mimeType }), `planner-bulk-export-${date}/${fileNames[i]}`);
+      }
+      return;
+    }
+
+    const files = [];
+    for (let i = 0; i < exports.length; i++) {
+      files.push({ name: fileNames[i], content: await readExportFile(exports[i], format) });
+    }
+
+    // A manifest lists what the archive contains
+    files.push({
+      name: 'manifest.json',
+      content: JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        plans: exports.map((entry, i) => ({
+          id: entry.planId,
+          title: entry.title,
+          taskCount: entry.taskCount,
+          file: fileNames[i]
+        }))
+      }, null, 2)
+    });
+    await downloadBlob(new Blob([ZipWriter.createZip(files)], { type: 'application/zip' }), `planner-bulk-export-${date}.zip`);
+  }
+
+  // chrome.downloads keeps folder names and avoids the multiple-download prompt
+  async function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    try {
+      await chrome.downloads.download({ url, filename, conflictAction: 'uniquify', saveAs: false });
+    } finally {
+      // Give the download a moment to start before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+  }
+
+  function showResults(exports, failed) {
+    const taskCount = exports.reduce((sum, e) => sum + e.taskCount, 0);
+    resultsSection.classList.remove('hidden');
+    resultsSummaryEl.textContent = `Exported ${exports.length} plan${exports.length !== 1 ? 's' : ''} with ${taskCount} tasks` +
+      (failed.length ? `, ${failed.length} failed` : '');
+    resultsListEl.innerHTML = [
+      ...exports.map(e => `<li class="success">${escapeHtml(e.title)} - ${e.taskCount} tasks</li>`),
+      ...failed.map(f => `<li class="error">${escapeHtml(f.title)} - ${escapeHtml(f.error)}</li>`)
+    ].join('');
+  }
+
+  // Progress comes from the shared extraction state in background.js; bulkPlan.fraction
+  // fills the current plan's share of the bar
+  function updateProgress(state) {
+    const progress = state.progress;
+    if (!progress?.bulkPlan || !isExporting || state.method !== 'graph-api-bulk') return;
+
+    const { index, total, fraction } = progress.bulkPlan;
+    progressFill.style.width = `${Math.round(((index + (fraction || 0)) / total) * 100)}%`;
+    const retryNote = state.retryCount ? ` (${state.retryCount} requests retried)` : '';
+    progressText.textContent = progress.message + retryNote;
+  }
+
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Event listeners
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'extractionStateChanged') {
+      updateProgress(message.state);
+    }
+  });
+  plansListEl.addEventListener('change', updateSelectedCount);
+  btnSelectAll.addEventListener('click', () => setAllSelected(true));
+  btnSelectNone.addEventListener('click', () => setAllSelected(false));
+  btnReloadPlans.addEventListener('click', loadPlans);
+  btnExport.addEventListener('click', exportSelected);
+
+  // Initialize
+  await loadPlans();
+});
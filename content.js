@@ -618,7 +618,7 @@
   // API calls are delegated to background.js service worker
   // ============================================
 
-  async function extractPlan(mode = 'quick', onProgress = null) {
+  async function extractPlan(mode = 'quick', onProgress = null, options = {}) {
     const context = getCurrentContext();
     console.log('[PlannerExporter] Extraction context:', context);
 
@@ -638,6 +638,7 @@
           action: 'fetchToDoList',
           listId: context.listId,
           listName: context.listName, // Pass the current list name from DOM
+          allLists: !!options.allLists,
           token: context.token
         });
 
@@ -816,6 +817,7 @@
 
     if (request.action === 'extractPlan') {
       const mode = request.mode || 'quick';
+      const allLists = !!request.allLists;
       const context = getCurrentContext();
 
       // Handle To Do service
@@ -841,7 +843,7 @@
         }).catch(() => {}); // Ignore errors if popup is closed
       };
 
-      extractPlan(mode, onProgress)
+      extractPlan(mode, onProgress, { allLists })
         .then(data => {
           const isToDoService = context.serviceType === 'todo';
           const exportData = {
@@ -850,7 +852,7 @@
             plan: data.plan || (isToDoService
               ? { id: context.listId, title: context.listName || 'To Do List' }
               : { id: context.planId, title: getPlanName() }),
-            planName: isToDoService ? (context.listName || 'To Do List') : getPlanName(),
+            planName: isToDoService ? (allLists ? 'All To Do Lists' : (context.listName || 'To Do List')) : getPlanName(),
             planType: isToDoService ? 'todo' : (context.planType || 'premium'),
             buckets: data.buckets || [],
             bucketMap: data.bucketMap || {},
@@ -919,6 +921,25 @@
       return true;
     }
 
+    if (request.action === 'getToDoTasksViaPage') {
+      callPageApi('TODO_API_GET_TASKS', {
+        listId: request.listId
+      })
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
+    if (request.action === 'updateToDoTaskViaPage') {
+      callPageApi('TODO_API_UPDATE_TASK', {
+        taskId: request.taskId,
+        changes: request.changes
+      })
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+    }
+
     if (request.action === 'addToDoSubtaskViaPage') {
       callPageApi('TODO_API_ADD_SUBTASK', {
         taskId: request.taskId,
@@ -942,6 +963,15 @@
   // Listen for responses from the page API
   window.addEventListener('message', (event) => {
     if (event.source !== window) return;
+
+    // The page API is waiting out a retry: pass it on to the import page's log,
+    // and give requests in flight that much longer before they time out
+    if (event.data?.type === 'TODO_API_RETRY' && event.data.retry) {
+      pendingPageApiRequests.forEach(pending => pending.extend(event.data.retry.delayMs));
+      chrome.runtime.sendMessage({ action: 'requestRetry', retry: event.data.retry }).catch(() => {});
+      return;
+    }
+
     if (event.data?.type !== 'TODO_API_RESPONSE') return;
 
     const { requestId, success, data, error } = event.data;
@@ -963,10 +993,11 @@
       const requestId = `req_${++pageApiRequestId}_${Date.now()}`;
 
       // Set up timeout
-      const timeoutId = setTimeout(() => {
+      const onTimeout = () => {
         pendingPageApiRequests.delete(requestId);
         reject(new Error('Page API request timed out'));
-      }, timeout);
+      };
+      let timeoutId = setTimeout(onTimeout, timeout);
 
       // Store the pending request
       pendingPageApiRequests.set(requestId, {
@@ -977,6 +1008,10 @@
         reject: (err) => {
           clearTimeout(timeoutId);
           reject(err);
+        },
+        extend: (delayMs) => {
+          clearTimeout(timeoutId);
+          timeoutId = setTimeout(onTimeout, timeout + delayMs);
         }
       });
 
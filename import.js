@@ -6,6 +6,7 @@
 document.addEventListener('DOMContentLoaded', () => {
   // Elements
   const stepUpload = document.getElementById('step-upload');
+  const stepMapping = document.getElementById('step-mapping');
   const stepPreview = document.getElementById('step-preview');
   const stepProgress = document.getElementById('step-progress');
   const stepResults = document.getElementById('step-results');
@@ -13,13 +14,32 @@ document.addEventListener('DOMContentLoaded', () => {
   const uploadZone = document.getElementById('upload-zone');
   const fileInput = document.getElementById('file-input');
   const btnBrowse = document.getElementById('btn-browse');
+  const sheetPicker = document.getElementById('sheet-picker');
+  const sheetSelect = document.getElementById('sheet-select');
+  const btnUseSheet = document.getElementById('btn-use-sheet');
   const btnDownloadTemplate = document.getElementById('btn-download-template');
   const btnDownloadBasicTemplate = document.getElementById('btn-download-basic-template');
   const btnDownloadToDoTemplate = document.getElementById('btn-download-todo-template');
 
+  const mappingSourceEl = document.getElementById('mapping-source');
+  const presetSelect = document.getElementById('preset-select');
+  const presetNameInput = document.getElementById('preset-name');
+  const btnSavePreset = document.getElementById('btn-save-preset');
+  const btnDeletePreset = document.getElementById('btn-delete-preset');
+  const columnMapList = document.getElementById('column-map-list');
+  const columnSampleTable = document.getElementById('column-sample-table');
+  const mappingHint = document.getElementById('mapping-hint');
+  const btnBackMapping = document.getElementById('btn-back-mapping');
+  const btnApplyMapping = document.getElementById('btn-apply-mapping');
+
   const previewSummary = document.getElementById('preview-summary');
   const validationErrors = document.getElementById('validation-errors');
   const errorList = document.getElementById('error-list');
+  const previewWarnings = document.getElementById('preview-warnings');
+  const warningList = document.getElementById('warning-list');
+  const addMembersOption = document.getElementById('add-members-option');
+  const addMissingMembers = document.getElementById('add-missing-members');
+  const updateDiff = document.getElementById('update-diff');
   const bucketMapList = document.getElementById('bucket-map-list');
   const previewBody = document.getElementById('preview-body');
   const previewTree = document.getElementById('preview-tree');
@@ -37,10 +57,13 @@ document.addEventListener('DOMContentLoaded', () => {
   const btnCancelImport = document.getElementById('btn-cancel-import');
 
   const resultSuccess = document.getElementById('result-success');
+  const resultUpdated = document.getElementById('result-updated');
   const resultFailed = document.getElementById('result-failed');
   const resultSkipped = document.getElementById('result-skipped');
   const failedTasks = document.getElementById('failed-tasks');
   const failedList = document.getElementById('failed-list');
+  const failedLinks = document.getElementById('failed-links');
+  const failedLinksList = document.getElementById('failed-links-list');
   const btnImportAnother = document.getElementById('btn-import-another');
   const btnViewDestination = document.getElementById('btn-view-destination');
 
@@ -67,16 +90,53 @@ document.addEventListener('DOMContentLoaded', () => {
   let selectedListId = null; // Selected To Do list for import
   let todoTabId = null; // ID of the active To Do tab for page API calls
   let plannerTabId = null; // ID of the active Planner tab for basic plan imports
+  let assigneeCache = {}; // Lowercased email -> { id, displayName, isMember } or { id: null, error }
+  let assigneeLookup = null; // In-flight assignee lookup started by the preview step
+  let importMode = 'create'; // 'create' or 'update' (upsert into existing tasks)
+  let parsedFields = new Set(); // Normalized fields present in the uploaded file
+  let updateMatches = new Map(); // rowNumber -> { existing, changes } in update mode
+  let updateLookup = null; // In-flight existing task lookup for update mode
+  let updateReady = false; // Existing tasks loaded and matched for update mode
+  let updatedCount = 0;
+  let copySource = null; // plannerExportData being copied from the results page
+  let xlsxWorkbook = null; // Loaded .xlsx workbook while the user picks a sheet
+  let columnSource = null; // { headers, rows, sourceLabel } of the file being mapped
+  let columnMapping = []; // Source column index -> target field ('' = ignored)
+  let columnPresets = {}; // Saved mappings by name: { headers, mapping: { header -> field } }
+
+  const UPDATE_FIELD_LABELS = {
+    title: 'Title',
+    bucket: 'Bucket',
+    priority: 'Priority',
+    startDate: 'Start Date',
+    dueDate: 'Due Date',
+    description: 'Description'
+  };
+
+  // Target fields for source columns; aliases are matched against lowercased headers
+  const COLUMN_FIELDS = [
+    { field: 'id', label: 'Task ID', aliases: ['id', 'task id', 'taskid', 'issue id', 'card id'] },
+    { field: 'outlineNumber', label: 'Outline Number', aliases: ['outlinenumber', 'outline number', 'outline', 'wbs'], premiumOnly: true },
+    { field: 'title', label: 'Title', aliases: ['title', 'name', 'task name', 'task', 'summary', 'card name', 'subject'] },
+    { field: 'bucket', label: 'Bucket', aliases: ['bucket', 'bucket name', 'section', 'section/column', 'list', 'list name'], plannerOnly: true },
+    { field: 'priority', label: 'Priority', aliases: ['priority', 'importance'] },
+    { field: 'startDate', label: 'Start Date', aliases: ['startdate', 'start date', 'start', 'start on'] },
+    { field: 'dueDate', label: 'Due Date', aliases: ['duedate', 'due date', 'due', 'due on', 'deadline', 'end date'] },
+    { field: 'assignedTo', label: 'Assigned To', aliases: ['assignedto', 'assigned to', 'assignee', 'assignees', 'assignee email', 'owner'], plannerOnly: true },
+    { field: 'description', label: 'Description', aliases: ['description', 'notes', 'details', 'desc'] },
+    { field: 'checklistItems', label: 'Checklist Items', aliases: ['checklistitems', 'checklist items', 'checklist', 'subtasks'] },
+    { field: 'predecessors', label: 'Predecessors', aliases: ['predecessors', 'dependencies', 'depends on', 'blocked by'], premiumOnly: true }
+  ];
 
   // CSV Template for Planner Premium
-  const CSV_TEMPLATE_PLANNER = `OutlineNumber,Title,Bucket,Priority,StartDate,DueDate,AssignedTo,Description,ChecklistItems
-1,Phase 1: Planning,Backlog,High,2025-01-20,2025-01-31,,Project planning phase,
-1.1,Define requirements,Backlog,High,2025-01-20,2025-01-22,pm@company.com,Gather requirements from stakeholders,Interview stakeholders;Document requirements;Review with team
-1.2,Create project timeline,Backlog,Medium,2025-01-23,2025-01-25,pm@company.com,Build project schedule,
-2,Phase 2: Development,Sprint 1,High,2025-02-01,2025-02-28,,Development phase,
-2.1,Setup development environment,Sprint 1,Urgent,2025-02-01,2025-02-03,dev@company.com,Configure dev environment,Install tools;Configure CI/CD
-2.1.1,Install dependencies,Sprint 1,Medium,2025-02-01,2025-02-02,dev@company.com,Install required packages,
-2.2,Implement core features,Sprint 1,High,2025-02-04,2025-02-20,dev@company.com;dev2@company.com,Build main functionality,`;
+  const CSV_TEMPLATE_PLANNER = `OutlineNumber,Title,Bucket,Priority,StartDate,DueDate,AssignedTo,Description,ChecklistItems,Predecessors
+1,Phase 1: Planning,Backlog,High,2025-01-20,2025-01-31,,Project planning phase,,
+1.1,Define requirements,Backlog,High,2025-01-20,2025-01-22,pm@company.com,Gather requirements from stakeholders,Interview stakeholders;Document requirements;Review with team,
+1.2,Create project timeline,Backlog,Medium,2025-01-23,2025-01-25,pm@company.com,Build project schedule,,1.1FS
+2,Phase 2: Development,Sprint 1,High,2025-02-01,2025-02-28,,Development phase,,1FS
+2.1,Setup development environment,Sprint 1,Urgent,2025-02-01,2025-02-03,dev@company.com,Configure dev environment,Install tools;Configure CI/CD,
+2.1.1,Install dependencies,Sprint 1,Medium,2025-02-01,2025-02-02,dev@company.com,Install required packages,,
+2.2,Implement core features,Sprint 1,High,2025-02-04,2025-02-20,dev@company.com;dev2@company.com,Build main functionality,,2.1FS+1d`;
 
   // CSV Template for Planner Basic
   const CSV_TEMPLATE_BASIC = `Title,Bucket,Priority,DueDate,AssignedTo,Description,ChecklistItems
@@ -99,7 +159,13 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
 
   function init() {
     setupEventListeners();
-    fetchExistingData();
+
+    // Opened from "Copy to…" on the results page
+    if (new URLSearchParams(window.location.search).get('source') === 'export') {
+      startCopyFromExport();
+    } else {
+      fetchExistingData();
+    }
   }
 
   function setupEventListeners() {
@@ -136,6 +202,12 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     uploadZone.addEventListener('dragover', handleDragOver);
     uploadZone.addEventListener('dragleave', handleDragLeave);
     uploadZone.addEventListener('drop', handleDrop);
+    btnUseSheet.addEventListener('click', () => {
+      parseXlsxSheet(Number(sheetSelect.value)).catch(error => {
+        console.error('[Import] Failed to read sheet:', error);
+        showError(`Failed to read Excel sheet: ${error.message}`);
+      });
+    });
     btnDownloadTemplate.addEventListener('click', () => downloadTemplate('planner'));
     btnDownloadBasicTemplate.addEventListener('click', () => downloadTemplate('plannerbasic'));
     btnDownloadToDoTemplate.addEventListener('click', () => downloadTemplate('todo'));
@@ -144,17 +216,45 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     todoListSelect.addEventListener('change', () => {
       selectedListId = todoListSelect.value;
       updateImportButton();
+      if (importMode === 'update') refreshUpdateMatches();
+    });
+
+    // Import mode (create new tasks or update existing ones)
+    document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        importMode = e.target.value;
+        refreshUpdateMatches();
+      });
+    });
+
+    // Column mapping
+    presetSelect.addEventListener('change', () => {
+      if (!presetSelect.value) return;
+      applyColumnPreset(presetSelect.value);
+      showColumnMapping(presetSelect.value);
     });
+    btnSavePreset.addEventListener('click', saveColumnPreset);
+    btnDeletePreset.addEventListener('click', deleteColumnPreset);
+    btnBackMapping.addEventListener('click', () => showStep('upload'));
+    btnApplyMapping.addEventListener('click', applyColumnMapping);
 
     // Preview
     btnViewTable.addEventListener('click', () => setPreviewView('table'));
     btnViewTree.addEventListener('click', () => setPreviewView('tree'));
-    btnBackUpload.addEventListener('click', () => showStep('upload'));
+    btnBackUpload.addEventListener('click', () => showStep(columnSource ? 'mapping' : 'upload'));
     btnStartImport.addEventListener('click', startImport);
 
     // Progress
     btnCancelImport.addEventListener('click', () => { importCancelled = true; });
 
+    // The background (and the To Do page API) retry throttled requests themselves; show each retry in the log
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'requestRetry' && message.retry) {
+        const { host, reason, attempt, delayMs, totalRetries } = message.retry;
+        addLogEntry(`  ${host} ${reason} - retry ${attempt} in ${Math.round(delayMs / 1000)}s (${totalRetries} retries so far)`, 'info');
+      }
+    });
+
     // Results
     btnImportAnother.addEventListener('click', resetImport);
     btnViewDestination.addEventListener('click', () => {
@@ -165,6 +265,7 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
   // Handle service type change
   function handleServiceChange(e) {
     serviceType = e.target.value;
+    assigneeCache = {};
     console.log('[Import] Service type changed to:', serviceType);
 
     // Hide all upload info sections first
@@ -184,8 +285,16 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       document.getElementById('header-subtitle').textContent = 'Create tasks in Microsoft Planner from a CSV file';
     }
 
-    // Fetch the appropriate session data
-    fetchExistingData();
+    // Fetch the appropriate session data, then rebuild a copy for the new destination
+    fetchExistingData().then(() => {
+      if (copySource) parseExportData(copySource);
+    });
+
+    // Available target fields depend on the destination
+    if (columnSource && !stepMapping.classList.contains('hidden')) {
+      guessUnmappedColumns();
+      showColumnMapping(presetSelect.value);
+    }
   }
 
   // Find an active To Do tab for page API calls
@@ -357,10 +466,10 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     e.preventDefault();
     uploadZone.classList.remove('dragover');
     const file = e.dataTransfer.files[0];
-    if (file && file.name.endsWith('.csv')) {
+    if (file && /\.(csv|xml|xlsx|md|markdown)$/i.test(file.name)) {
       processFile(file);
     } else {
-      showError('Please drop a CSV file.');
+      showError('Please drop a CSV, Excel, Markdown or Project XML file.');
     }
   }
 
@@ -372,62 +481,444 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
   }
 
   function processFile(file) {
+    copySource = null;
+    columnSource = null;
+    xlsxWorkbook = null;
+    sheetPicker.classList.add('hidden');
+    const isXlsx = /\.xlsx$/i.test(file.name);
+    const isMarkdown = /\.(md|markdown)$/i.test(file.name);
+    if (!isXlsx && !isMarkdown && !/\.xml$/i.test(file.name)) {
+      parseCSVFile(file);
+      return;
+    }
+
     const reader = new FileReader();
     reader.onload = (e) => {
-      const csvText = e.target.result;
-      parseCSV(csvText);
+      if (isXlsx) {
+        loadXlsx(e.target.result);
+      } else if (isMarkdown) {
+        parseMarkdown(e.target.result);
+      } else {
+        parseProjectXml(e.target.result);
+      }
     };
     reader.onerror = () => {
       showError('Failed to read file.');
     };
-    reader.readAsText(file);
+    if (isXlsx) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  }
+
+  // Stream a CSV file through the parser rather than reading and splitting it whole
+  async function parseCSVFile(file) {
+    try {
+      const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+      const rows = [];
+      const errors = [];
+      let parser = null;
+      let head = '';
+
+      const startParser = (text) => {
+        parser = createCSVParser(
+          detectCSVDelimiter(text),
+          row => rows.push(row),
+          error => errors.push(`Row ${error.row}, column ${error.column} (line ${error.line}): ${error.message}`)
+        );
+        parser.push(text.replace(/^\uFEFF/, ''));
+      };
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        if (parser) {
+          parser.push(value);
+        } else {
+          // Wait for the complete header line before detecting the delimiter
+          head += value;
+          if (/[\r\n]/.test(head)) startParser(head);
+        }
+      }
+      if (!parser) startParser(head);
+      parser.end();
+
+      parseRows(rows, 'CSV file', errors);
+    } catch (error) {
+      console.error('[Import] Failed to read CSV:', error);
+      showError('Failed to read file.');
+    }
+  }
+
+  // Pick the delimiter used most often in the header line: comma, semicolon or tab
+  function detectCSVDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+    for (const char of text.replace(/^\uFEFF/, '')) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!inQuotes && char in counts) {
+        counts[char]++;
+      }
+    }
+    return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
   }
 
-  function parseCSV(csvText) {
-    const lines = csvText.split(/\r?\n/).filter(line => line.trim());
-    if (lines.length < 2) {
-      showError('CSV file must have a header row and at least one data row.');
+  // RFC 4180 parser fed in chunks: quoted fields may contain delimiters, "" and line breaks.
+  // Malformed input is reported with its row, column and line, and parsing carries on.
+  function createCSVParser(delimiter, onRow, onError) {
+    let state = 'start'; // 'start', 'unquoted', 'quoted' or 'quote' (a quote inside a quoted field)
+    let field = '';
+    let row = [];
+    let rowNumber = 1;
+    let line = 1;
+    let fieldStartLine = 1;
+    let skipLineFeed = false;
+
+    const report = (message, atLine) => {
+      onError({ row: rowNumber, column: row.length + 1, line: atLine || line, message });
+    };
+
+    const endField = () => {
+      row.push(field);
+      field = '';
+      state = 'start';
+    };
+
+    const endRow = () => {
+      endField();
+      // Blank lines are skipped
+      if (row.length > 1 || row[0].trim()) {
+        onRow(row);
+        rowNumber++;
+      }
+      row = [];
+    };
+
+    return {
+      push(chunk) {
+        for (const char of chunk) {
+          if (skipLineFeed) {
+            skipLineFeed = false;
+            if (char === '\n') continue;
+          }
+
+          const isNewline = char === '\n' || char === '\r';
+
+          switch (state) {
+            case 'start':
+              fieldStartLine = line;
+              if (char === '"') {
+                state = 'quoted';
+              } else if (char === delimiter) {
+                endField();
+              } else if (isNewline) {
+                endRow();
+              } else {
+                field += char;
+                state = 'unquoted';
+              }
+              break;
+
+            case 'unquoted':
+              if (char === delimiter) {
+                endField();
+              } else if (isNewline) {
+                endRow();
+              } else {
+                if (char === '"') report('Unexpected quote in an unquoted field');
+                field += char;
+              }
+              break;
+
+            case 'quoted':
+              if (char === '"') {
+                state = 'quote';
+              } else if (char === '\r') {
+                // Keep CRLF inside a field as a single line break
+                field += '\n';
+                skipLineFeed = true;
+              } else {
+                field += char;
+              }
+              break;
+
+            case 'quote':
+              if (char === '"') {
+                field += '"';
+                state = 'quoted';
+              } else if (char === delimiter) {
+                endField();
+              } else if (isNewline) {
+                endRow();
+              } else {
+                report('Unexpected character after a closing quote');
+                field += char;
+                state = 'unquoted';
+              }
+              break;
+          }
+
+          if (isNewline) {
+            line++;
+            if (char === '\r') skipLineFeed = true;
+          }
+        }
+      },
+
+      end() {
+        if (state === 'quoted') {
+          report('Quoted field is never closed', fieldStartLine);
+        }
+        if (state !== 'start' || field || row.length > 0) {
+          endRow();
+        }
+      }
+    };
+  }
+
+  // Keep the rows of a CSV or spreadsheet and let the user map its columns before the preview
+  function parseRows(rows, sourceLabel, parseErrors = []) {
+    if (rows.length < 2) {
+      showError(`${sourceLabel} must have a header row and at least one data row.`);
       return;
     }
 
-    const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().trim());
+    columnSource = {
+      headers: rows[0].map(h => String(h).trim()),
+      rows: rows.slice(1),
+      sourceLabel,
+      parseErrors
+    };
+    columnMapping = guessColumnMapping(columnSource.headers);
+
+    // A saved preset for the same set of headers wins over guessing
+    chrome.storage.local.get('importColumnPresets').then(result => {
+      columnPresets = result.importColumnPresets || {};
+      const signature = getHeaderSignature(columnSource.headers);
+      const presetName = Object.keys(columnPresets).find(name =>
+        getHeaderSignature(columnPresets[name].headers) === signature
+      );
+      if (presetName) applyColumnPreset(presetName);
+      showColumnMapping(presetName || '');
+    });
+  }
+
+  function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+  }
+
+  function getHeaderSignature(headers) {
+    return headers.map(normalizeHeader).sort().join('|');
+  }
+
+  // Fields a column can be mapped to for the current destination
+  function getColumnFields() {
+    const isFlat = serviceType === 'todo' || serviceType === 'plannerbasic';
+    return COLUMN_FIELDS.filter(f => {
+      if (f.premiumOnly && isFlat) return false;
+      if (f.plannerOnly && serviceType === 'todo') return false;
+      return true;
+    });
+  }
+
+  // Each field is assigned to the first column whose header matches one of its aliases
+  function guessColumnMapping(headers) {
+    const fields = getColumnFields();
+    const used = new Set();
+    return headers.map(header => {
+      const name = normalizeHeader(header);
+      const match = fields.find(f => !used.has(f.field) && f.aliases.includes(name));
+      if (!match) return '';
+      used.add(match.field);
+      return match.field;
+    });
+  }
+
+  // Re-guess columns that aren't mapped for the current destination, keeping the user's choices
+  function guessUnmappedColumns() {
+    const available = new Set(getColumnFields().map(f => f.field));
+    const current = columnMapping.map(field => (available.has(field) ? field : ''));
+    const used = new Set(current.filter(Boolean));
+    const guessed = guessColumnMapping(columnSource.headers);
+    columnMapping = current.map((field, index) => {
+      if (field) return field;
+      const guess = guessed[index];
+      if (!guess || used.has(guess)) return '';
+      used.add(guess);
+      return guess;
+    });
+  }
+
+  function applyColumnPreset(name) {
+    const preset = columnPresets[name];
+    if (!preset) return;
+    const available = new Set(getColumnFields().map(f => f.field));
+    columnMapping = columnSource.headers.map(header => {
+      const field = preset.mapping[normalizeHeader(header)] || '';
+      return available.has(field) ? field : '';
+    });
+  }
+
+  function showColumnMapping(selectedPreset) {
+    showStep('mapping');
+
+    const fields = getColumnFields();
+    const available = new Set(fields.map(f => f.field));
+    columnMapping = columnMapping.map(field => (available.has(field) ? field : ''));
+
+    mappingSourceEl.textContent = columnSource.sourceLabel;
+    presetSelect.innerHTML = '<option value="">Saved mappings...</option>' +
+      Object.keys(columnPresets).sort().map(name =>
+        `<option value="${escapeHtml(name)}" ${name === selectedPreset ? 'selected' : ''}>${escapeHtml(name)}</option>`
+      ).join('');
+    presetNameInput.value = selectedPreset || '';
+
+    columnMapList.innerHTML = columnSource.headers.map((header, index) => {
+      const sample = columnSource.rows.map(row => String(row[index] ?? '').trim()).find(Boolean) || '';
+      return `
+        <div class="mapping-row">
+          <span class="mapping-csv-bucket">
+            ${escapeHtml(header || `Column ${index + 1}`)}
+            <span class="column-sample-value">${escapeHtml(sample.length > 60 ? `${sample.slice(0, 60)}…` : sample)}</span>
+          </span>
+          <span class="mapping-arrow">→</span>
+          <select class="mapping-select" data-column="${index}">
+            <option value="">-- Ignore --</option>
+            ${fields.map(f => `
+              <option value="${f.field}" ${columnMapping[index] === f.field ? 'selected' : ''}>${f.label}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+    }).join('');
+
+    columnMapList.querySelectorAll('.mapping-select').forEach(select => {
+      select.addEventListener('change', () => {
+        const index = Number(select.dataset.column);
+        const field = select.value;
+        // A field can only come from one column
+        if (field) {
+          columnMapping = columnMapping.map((f, i) => (f === field && i !== index ? '' : f));
+          columnMapList.querySelectorAll('.mapping-select').forEach(other => {
+            if (Number(other.dataset.column) !== index && other.value === field) other.value = '';
+          });
+        }
+        columnMapping[index] = field;
+        renderColumnSample();
+      });
+    });
 
-    // Different required headers based on service type
-    const requiredHeaders = (serviceType === 'todo' || serviceType === 'plannerbasic') ? ['title'] : ['outlinenumber', 'title'];
-    const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
+    renderColumnSample();
+  }
 
-    if (missingHeaders.length > 0) {
-      showError(`Missing required columns: ${missingHeaders.join(', ')}`);
+  // Live preview of the first rows as they will be imported
+  function renderColumnSample() {
+    const mapped = getColumnFields().filter(f => columnMapping.includes(f.field));
+    const { tasks } = buildTasksFromRows(columnSource.rows.slice(0, 5), columnMapping);
+
+    const formatValue = (task, field) => {
+      const value = task[field];
+      if (field === 'predecessors') {
+        return value.map(p => `${p.outlineNumber}${p.type}${p.lagDays ? `${p.lagDays > 0 ? '+' : ''}${p.lagDays}d` : ''}`).join('; ');
+      }
+      return Array.isArray(value) ? value.join('; ') : (value || '');
+    };
+
+    columnSampleTable.innerHTML = mapped.length === 0 ? '' : `
+      <thead><tr>${mapped.map(f => `<th>${f.label}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${tasks.map(task => `
+          <tr>${mapped.map(f => `<td>${escapeHtml(formatValue(task, f.field)) || '-'}</td>`).join('')}</tr>
+        `).join('')}
+      </tbody>
+    `;
+
+    const hasTitle = columnMapping.includes('title');
+    const needsOutline = serviceType === 'planner' && !columnMapping.includes('outlineNumber');
+    btnApplyMapping.disabled = !hasTitle;
+    if (!hasTitle) {
+      mappingHint.textContent = 'Map a column to Title to continue.';
+    } else if (needsOutline) {
+      mappingHint.textContent = 'No Outline Number column: tasks will be imported without hierarchy.';
+    } else {
+      mappingHint.textContent = '';
+    }
+  }
+
+  async function saveColumnPreset() {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+      showError('Enter a name for the mapping (for example "Jira").');
       return;
     }
 
+    const mapping = {};
+    columnSource.headers.forEach((header, index) => {
+      if (columnMapping[index]) mapping[normalizeHeader(header)] = columnMapping[index];
+    });
+    columnPresets[name] = { headers: columnSource.headers, mapping };
+    await chrome.storage.local.set({ importColumnPresets: columnPresets });
+    showColumnMapping(name);
+  }
+
+  async function deleteColumnPreset() {
+    const name = presetSelect.value;
+    if (!name) return;
+    delete columnPresets[name];
+    await chrome.storage.local.set({ importColumnPresets: columnPresets });
+    showColumnMapping('');
+  }
+
+  function applyColumnMapping() {
+    const { tasks, errors } = buildTasksFromRows(columnSource.rows, columnMapping);
+    parsedFields = new Set(columnMapping.filter(field => field in UPDATE_FIELD_LABELS));
+    finalizeParsedTasks(tasks, [...columnSource.parseErrors, ...errors]);
+  }
+
+  // Build normalized tasks from data rows using a column index -> field mapping
+  function buildTasksFromRows(dataRows, mapping) {
+    const isFlat = serviceType === 'todo' || serviceType === 'plannerbasic';
+    const hasOutline = !isFlat && mapping.includes('outlineNumber');
     const tasks = [];
     const errors = [];
 
-    for (let i = 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
-      const task = {};
-
-      headers.forEach((header, index) => {
-        task[header] = values[index] || '';
-      });
+    dataRows.forEach((values, index) => {
+      const i = index + 1;
+      const value = (field) => {
+        const column = mapping.indexOf(field);
+        return column >= 0 ? String(values[column] ?? '').trim() : '';
+      };
 
-      // Normalize field names
       const normalized = {
         rowNumber: i,
-        outlineNumber: task.outlinenumber || task['outline number'] || ((serviceType === 'todo' || serviceType === 'plannerbasic') ? String(i) : ''),
-        title: task.title || '',
-        bucket: task.bucket || '',
-        priority: normalizePriority(task.priority || '', serviceType),
-        startDate: task.startdate || task['start date'] || '',
-        dueDate: task.duedate || task['due date'] || '',
-        assignedTo: (task.assignedto || task['assigned to'] || '').split(';').map(e => e.trim()).filter(Boolean),
-        description: task.description || task.notes || '',
-        checklistItems: (task.checklistitems || task['checklist items'] || task.checklist || '').split(';').map(c => c.trim()).filter(Boolean)
+        id: value('id'),
+        outlineNumber: hasOutline ? value('outlineNumber') : String(i),
+        title: value('title'),
+        bucket: value('bucket'),
+        priority: normalizePriority(value('priority'), serviceType),
+        startDate: value('startDate'),
+        dueDate: value('dueDate'),
+        assignedTo: value('assignedTo').split(/[;,]/).map(e => e.trim()).filter(Boolean),
+        description: value('description'),
+        checklistItems: value('checklistItems').split(';').map(c => c.trim()).filter(Boolean),
+        predecessors: []
       };
 
+      // Dependencies (only relevant for Planner Premium)
+      if (!isFlat) {
+        const parsed = parsePredecessors(value('predecessors'));
+        normalized.predecessors = parsed.links;
+        parsed.invalid.forEach(ref => {
+          errors.push(`Row ${i + 1}: Invalid predecessor "${ref}" (expected e.g. 1.2FS+2d)`);
+        });
+      }
+
       // Validate
-      if (serviceType !== 'todo' && serviceType !== 'plannerbasic' && !normalized.outlineNumber) {
+      if (hasOutline && !normalized.outlineNumber) {
         errors.push(`Row ${i + 1}: Missing OutlineNumber`);
       }
       if (!normalized.title) {
@@ -435,7 +926,7 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       }
 
       // Calculate parent outline (only relevant for Planner Premium)
-      if (serviceType !== 'todo' && serviceType !== 'plannerbasic') {
+      if (!isFlat) {
         normalized.parentOutline = getParentOutline(normalized.outlineNumber);
         normalized.depth = normalized.outlineNumber ? normalized.outlineNumber.split('.').length - 1 : 0;
       } else {
@@ -444,63 +935,695 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       }
 
       tasks.push(normalized);
+    });
+
+    return { tasks, errors };
+  }
+
+  // Shared by every file parser: sort and validate hierarchy, then show the preview
+  function finalizeParsedTasks(tasks, errors) {
+    // Sort by outline number (only for Planner Premium)
+    if (serviceType !== 'todo' && serviceType !== 'plannerbasic') {
+      tasks.sort((a, b) => compareOutlineNumbers(a.outlineNumber, b.outlineNumber));
+
+      // Validate hierarchy
+      const outlineSet = new Set(tasks.map(t => t.outlineNumber));
+      tasks.forEach(task => {
+        if (task.parentOutline && !outlineSet.has(task.parentOutline)) {
+          errors.push(`Row ${task.rowNumber + 1}: Parent outline "${task.parentOutline}" not found for "${task.outlineNumber}"`);
+        }
+      });
+
+      errors.push(...validateDependencies(tasks));
+    }
+
+    parsedTasks = tasks;
+
+    if (errors.length > 0) {
+      showValidationErrors(errors);
+    } else {
+      validationErrors.classList.add('hidden');
+    }
+
+    showPreview();
+  }
+
+  // Read an .xlsx workbook and list its sheets; the chosen sheet goes through parseRows
+  async function loadXlsx(buffer) {
+    try {
+      const zip = readZip(buffer);
+      const readXml = async (path) => {
+        const text = await zip.readText(path);
+        return text === null ? null : new DOMParser().parseFromString(text, 'application/xml');
+      };
+      const byTag = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+
+      const workbookDoc = await readXml('xl/workbook.xml');
+      const relsDoc = await readXml('xl/_rels/workbook.xml.rels');
+      if (!workbookDoc || !relsDoc) {
+        throw new Error('Workbook part is missing');
+      }
+
+      // Relationship ID -> worksheet path inside the package
+      const targets = {};
+      byTag(relsDoc, 'Relationship').forEach(rel => {
+        const target = rel.getAttribute('Target') || '';
+        targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      });
+
+      const sheets = byTag(workbookDoc, 'sheet').map(sheet => ({
+        name: sheet.getAttribute('name'),
+        path: targets[sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') || sheet.getAttribute('r:id')]
+      })).filter(sheet => sheet.path);
+
+      if (sheets.length === 0) {
+        throw new Error('The workbook has no worksheets');
+      }
+
+      // Shared strings (rich text runs are concatenated, phonetic hints skipped)
+      const sharedDoc = await readXml('xl/sharedStrings.xml');
+      const sharedStrings = sharedDoc ? byTag(sharedDoc, 'si').map(si =>
+        byTag(si, 't').filter(t => t.parentNode.localName !== 'rPh').map(t => t.textContent).join('')
+      ) : [];
+
+      // Cell style index -> whether its number format is a date
+      const stylesDoc = await readXml('xl/styles.xml');
+      const dateStyles = [];
+      if (stylesDoc) {
+        const customFormats = {};
+        byTag(stylesDoc, 'numFmt').forEach(fmt => {
+          customFormats[fmt.getAttribute('numFmtId')] = fmt.getAttribute('formatCode') || '';
+        });
+        const cellXfs = byTag(stylesDoc, 'cellXfs')[0];
+        if (cellXfs) {
+          Array.from(cellXfs.children).filter(xf => xf.localName === 'xf').forEach(xf => {
+            dateStyles.push(isXlsxDateFormat(Number(xf.getAttribute('numFmtId')), customFormats[xf.getAttribute('numFmtId')]));
+          });
+        }
+      }
+
+      const date1904 = byTag(workbookDoc, 'workbookPr')[0]?.getAttribute('date1904');
+      xlsxWorkbook = {
+        zip,
+        sheets,
+        sharedStrings,
+        dateStyles,
+        date1904: date1904 === '1' || date1904 === 'true'
+      };
+
+      if (sheets.length === 1) {
+        await parseXlsxSheet(0);
+        return;
+      }
+
+      sheetSelect.innerHTML = sheets.map((sheet, i) =>
+        `<option value="${i}">${escapeHtml(sheet.name)}</option>`
+      ).join('');
+      sheetPicker.classList.remove('hidden');
+    } catch (error) {
+      console.error('[Import] Failed to read workbook:', error);
+      showError(`Failed to read Excel file: ${error.message}`);
+    }
+  }
+
+  // Turn one worksheet into rows of strings and continue like a CSV upload
+  async function parseXlsxSheet(index) {
+    const { zip, sheets, sharedStrings, dateStyles, date1904 } = xlsxWorkbook;
+    const text = await zip.readText(sheets[index].path);
+    if (text === null) {
+      showError(`Sheet "${sheets[index].name}" could not be read.`);
+      return;
+    }
+
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const rows = [];
+
+    Array.from(doc.getElementsByTagNameNS('*', 'row')).forEach(rowEl => {
+      const row = [];
+      Array.from(rowEl.children).filter(c => c.localName === 'c').forEach((cell, position) => {
+        const ref = cell.getAttribute('r');
+        const column = ref ? getXlsxColumnIndex(ref) : position;
+        const valueEl = Array.from(cell.children).find(c => c.localName === 'v');
+        const raw = valueEl ? valueEl.textContent : '';
+        let value;
+
+        switch (cell.getAttribute('t')) {
+          case 's':
+            value = sharedStrings[Number(raw)] || '';
+            break;
+          case 'inlineStr':
+            value = Array.from(cell.getElementsByTagNameNS('*', 't')).map(t => t.textContent).join('');
+            break;
+          case 'b':
+            value = raw === '1' ? 'TRUE' : 'FALSE';
+            break;
+          case 'str':
+          case 'e':
+            value = raw;
+            break;
+          default:
+            value = raw !== '' && dateStyles[Number(cell.getAttribute('s') || 0)]
+              ? fromExcelDate(Number(raw), date1904)
+              : raw;
+        }
+
+        row[column] = value;
+      });
+
+      const values = Array.from(row, v => v || '');
+      if (values.some(v => v.trim())) rows.push(values);
+    });
+
+    sheetPicker.classList.add('hidden');
+    parseRows(rows, `Sheet "${sheets[index].name}"`);
+  }
+
+  // Built-in date formats (14-22, 27-36, 45-47, 50-58) or a custom code with date/time tokens
+  function isXlsxDateFormat(id, formatCode) {
+    if ((id >= 14 && id <= 22) || (id >= 27 && id <= 36) || (id >= 45 && id <= 47) || (id >= 50 && id <= 58)) {
+      return true;
+    }
+    if (!formatCode) return false;
+    const code = formatCode.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return /[dmyhs]/i.test(code);
+  }
+
+  // Excel serial day -> YYYY-MM-DD
+  function fromExcelDate(serial, date1904) {
+    if (isNaN(serial)) return '';
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    return new Date(epoch + Math.round(serial * 86400) * 1000).toISOString().split('T')[0];
+  }
+
+  // "BC12" -> 54 (0-based column index)
+  function getXlsxColumnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+      index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  // Minimal zip reader: stored entries, or deflated ones via DecompressionStream
+  function readZip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // End of central directory record (may be followed by a comment of up to 64 KB)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error('Not a valid .xlsx file');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(eocd + 10, true);
+    let pointer = view.getUint32(eocd + 16, true);
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pointer, true) !== 0x02014B50) {
+        throw new Error('Corrupt zip directory');
+      }
+      const nameLength = view.getUint16(pointer + 28, true);
+      const extraLength = view.getUint16(pointer + 30, true);
+      const commentLength = view.getUint16(pointer + 32, true);
+      const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+      entries.set(name, {
+        method: view.getUint16(pointer + 10, true),
+        compressedSize: view.getUint32(pointer + 20, true),
+        localOffset: view.getUint32(pointer + 42, true)
+      });
+      pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return {
+      async readText(name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        const offset = entry.localOffset;
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) {
+          return decoder.decode(data);
+        }
+        if (entry.method === 8) {
+          const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+          return await new Response(stream).text();
+        }
+        throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+      }
+    };
+  }
+
+  // Parse a Markdown outline: headings become buckets and bullets become tasks ("- [x]" marks one done).
+  // Nested bullets are subtasks for Premium and checklist items for To Do and Basic. Checkbox bullets
+  // inside a task's quoted body ("  > - [x] Step") are always checklist items, as the exporter writes them.
+  function parseMarkdown(markdown) {
+    const isFlat = serviceType === 'todo' || serviceType === 'plannerbasic';
+    const lines = markdown.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const tasks = [];
+    const errors = [];
+    const childCounts = new Map(); // Parent outline ('' for the top level) -> children so far
+    let bucket = '';
+    let stack = []; // Open list items, innermost last: { indent, task }
+    let lastTask = null;
+    let inFrontMatter = lines[0].trim() === '---';
+
+    lines.forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+
+      if (inFrontMatter) {
+        if (index > 0 && rawLine.trim() === '---') inFrontMatter = false;
+        return;
+      }
+
+      // Fence markers are dropped so AI output wrapped in ``` parses as-is
+      if (/^\s*(```|~~~)/.test(rawLine)) return;
+
+      const heading = rawLine.match(/^\s{0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/);
+      if (heading) {
+        bucket = unescapeMarkdown(heading[1]).trim();
+        stack = [];
+        lastTask = null;
+        return;
+      }
+
+      const item = rawLine.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/);
+      if (item) {
+        const indent = item[1].replace(/\t/g, '    ').length;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+        const parent = stack.length > 0 ? stack[stack.length - 1].task : null;
+        const parsed = parseMarkdownTokens(item[3]);
+        const checked = item[2] !== undefined && item[2] !== ' ';
+
+        if (parent && isFlat) {
+          if (parsed.title) {
+            parent.checklistItems.push({ title: parsed.title, isChecked: checked });
+          }
+          stack.push({ indent, task: parent });
+          lastTask = null;
+          return;
+        }
+
+        const parentOutline = parent ? parent.outlineNumber : '';
+        const position = (childCounts.get(parentOutline) || 0) + 1;
+        childCounts.set(parentOutline, position);
+
+        const task = {
+          rowNumber: lineNumber,
+          id: '',
+          outlineNumber: parentOutline ? `${parentOutline}.${position}` : String(position),
+          title: parsed.title,
+          bucket: parent ? parent.bucket : bucket,
+          priority: normalizePriority(parsed.priority, serviceType),
+          startDate: parsed.startDate,
+          dueDate: parsed.dueDate,
+          assignedTo: parsed.assignedTo,
+          description: '',
+          checklistItems: [],
+          predecessors: [],
+          parentOutline: parentOutline || null,
+          depth: stack.length,
+          completed: checked
+        };
+
+        if (!task.title) {
+          errors.push(`Line ${lineNumber}: Missing Title`);
+        }
+
+        tasks.push(task);
+        stack.push({ indent, task });
+        lastTask = task;
+        return;
+      }
+
+      // Indented or quoted text right under a task is its description
+      if (!rawLine.trim()) return;
+      if (lastTask && (/^\s/.test(rawLine) || rawLine.startsWith('>'))) {
+        const text = rawLine.trim().replace(/^>\s?/, '');
+        const checklistItem = text.match(/^[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        if (checklistItem) {
+          const title = unescapeMarkdown(checklistItem[2]).trim();
+          if (title) lastTask.checklistItems.push({ title, isChecked: checklistItem[1] !== ' ' });
+        } else {
+          // A description line that looks like a checklist item is written with its marker escaped
+          const line = text.replace(/^\\(?=[-*+]\s+\[[ xX]\])/, '');
+          lastTask.description += (lastTask.description ? '\n' : '') + line;
+        }
+      } else {
+        // Any other paragraph ends the current list
+        stack = [];
+        lastTask = null;
+      }
+    });
+
+    if (tasks.length === 0) {
+      showError('No tasks found. Write tasks as bullets, for example "- [ ] Draft agenda due:2025-03-01".');
+      return;
+    }
+
+    // Only fields the document actually uses count as present (update mode leaves the rest alone)
+    parsedFields = new Set(['title']);
+    if (tasks.some(t => t.bucket)) parsedFields.add('bucket');
+    if (tasks.some(t => t.startDate)) parsedFields.add('startDate');
+    if (tasks.some(t => t.dueDate)) parsedFields.add('dueDate');
+    if (tasks.some(t => t.description)) parsedFields.add('description');
+    if (lines.some(line => /(^|\s)!(urgent|high|important|medium|normal|low)\b/i.test(line))) parsedFields.add('priority');
+
+    finalizeParsedTasks(tasks, errors);
+  }
+
+  // Pull inline tokens out of a bullet: !high, start:/due:YYYY-MM-DD and @person@company.com
+  function parseMarkdownTokens(text) {
+    const result = { title: '', priority: '', startDate: '', dueDate: '', assignedTo: [] };
+
+    const words = text.split(/\s+/).filter(word => {
+      let match;
+      if ((match = word.match(/^!(urgent|high|important|medium|normal|low)$/i))) {
+        result.priority = match[1];
+      } else if ((match = word.match(/^due:(\S+)$/i))) {
+        result.dueDate = match[1];
+      } else if ((match = word.match(/^start:(\S+)$/i))) {
+        result.startDate = match[1];
+      } else if ((match = word.match(/^@([^@\s]+@[^@\s]+\.[^@\s]+)$/))) {
+        result.assignedTo.push(match[1]);
+      } else {
+        return true;
+      }
+      return false;
+    });
+
+    result.title = unescapeMarkdown(words.join(' ')).trim();
+    return result;
+  }
+
+  function unescapeMarkdown(text) {
+    return text.replace(/\\([\\`*_{}[\]()#+\-.!|<>])/g, '$1');
+  }
+
+  // Parse a Microsoft Project XML (MSPDI) file into the same task shape as parseCSV
+  function parseProjectXml(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.querySelector('parsererror') || doc.documentElement.localName !== 'Project') {
+      showError('The file is not a valid Microsoft Project XML file.');
+      return;
+    }
+
+    const childText = (el, name) => {
+      const child = Array.from(el.children).find(c => c.localName === name);
+      return child ? child.textContent.trim() : '';
+    };
+    const section = (name, itemName) => {
+      const container = Array.from(doc.documentElement.children).find(c => c.localName === name);
+      return container ? Array.from(container.children).filter(c => c.localName === itemName) : [];
+    };
+
+    // Resource UID -> email, then task UID -> assigned emails
+    const resourceEmails = {};
+    section('Resources', 'Resource').forEach(r => {
+      const email = childText(r, 'EmailAddress');
+      if (email) resourceEmails[childText(r, 'UID')] = email;
+    });
+
+    const taskEmails = {};
+    section('Assignments', 'Assignment').forEach(a => {
+      const email = resourceEmails[childText(a, 'ResourceUID')];
+      if (!email) return;
+      const taskUid = childText(a, 'TaskUID');
+      if (!taskEmails[taskUid]) taskEmails[taskUid] = [];
+      if (!taskEmails[taskUid].includes(email)) taskEmails[taskUid].push(email);
+    });
+
+    // Skip the project summary task (outline level 0) and blank rows
+    const taskEls = section('Tasks', 'Task').filter(t =>
+      childText(t, 'IsNull') !== '1' && childText(t, 'OutlineLevel') !== '0' && childText(t, 'Name')
+    );
+
+    const isFlat = serviceType === 'todo' || serviceType === 'plannerbasic';
+    const outlineByUid = {};
+    taskEls.forEach((t, i) => {
+      outlineByUid[childText(t, 'UID')] = isFlat ? String(i + 1) : childText(t, 'OutlineNumber');
+    });
+
+    const mspdiLinkTypes = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+    const tasks = [];
+    const errors = [];
+
+    taskEls.forEach((t, i) => {
+      const uid = childText(t, 'UID');
+      const outlineNumber = outlineByUid[uid];
+      const priorityValue = parseInt(childText(t, 'Priority'), 10);
+      let priority = 'medium';
+      if (priorityValue >= 900) priority = 'urgent';
+      else if (priorityValue >= 600) priority = 'high';
+      else if (priorityValue <= 300) priority = 'low';
+
+      const normalized = {
+        rowNumber: i + 1,
+        outlineNumber: outlineNumber,
+        title: childText(t, 'Name'),
+        bucket: '',
+        priority: normalizePriority(priority, serviceType),
+        startDate: childText(t, 'Start').split('T')[0],
+        dueDate: childText(t, 'Finish').split('T')[0],
+        assignedTo: taskEmails[uid] || [],
+        description: childText(t, 'Notes'),
+        checklistItems: [],
+        predecessors: []
+      };
+
+      if (!isFlat) {
+        if (!outlineNumber) {
+          errors.push(`Task ${i + 1}: Missing OutlineNumber for "${normalized.title}"`);
+        }
+
+        // LinkLag is in tenths of a minute; 4800 = one 8-hour day
+        Array.from(t.children).filter(c => c.localName === 'PredecessorLink').forEach(link => {
+          const predecessorOutline = outlineByUid[childText(link, 'PredecessorUID')];
+          if (!predecessorOutline) return;
+          normalized.predecessors.push({
+            outlineNumber: predecessorOutline,
+            type: mspdiLinkTypes[childText(link, 'Type')] || 'FS',
+            lagDays: (parseInt(childText(link, 'LinkLag'), 10) || 0) / 4800
+          });
+        });
+
+        normalized.parentOutline = getParentOutline(outlineNumber);
+        normalized.depth = outlineNumber ? outlineNumber.split('.').length - 1 : 0;
+      } else {
+        normalized.parentOutline = null;
+        normalized.depth = 0;
+      }
+
+      tasks.push(normalized);
+    });
+
+    if (tasks.length === 0) {
+      showError('The Project XML file does not contain any tasks.');
+      return;
     }
 
-    // Sort by outline number (only for Planner Premium)
-    if (serviceType !== 'todo' && serviceType !== 'plannerbasic') {
-      tasks.sort((a, b) => compareOutlineNumbers(a.outlineNumber, b.outlineNumber));
+    parsedFields = new Set(['title', 'priority', 'startDate', 'dueDate', 'description']);
+
+    finalizeParsedTasks(tasks, errors);
+  }
+
+  // Load the plan from the results page and preselect a destination of the same kind
+  async function startCopyFromExport() {
+    const result = await chrome.storage.local.get('plannerExportData');
+    copySource = result.plannerExportData || null;
+
+    if (!copySource) {
+      showError('No exported plan found to copy. Export a plan first.');
+      fetchExistingData();
+      return;
+    }
+
+    const planName = copySource.planName || copySource.plan?.title || 'plan';
+    document.querySelector('header h1').textContent = `Copy "${planName}"`;
+
+    let sourceType = 'plannerbasic';
+    if (copySource.serviceType === 'todo' || copySource.planType === 'todo') {
+      sourceType = 'todo';
+    } else if (copySource.planType === 'premium') {
+      sourceType = 'planner';
+    }
+
+    const radio = document.querySelector(`input[name="service-type"][value="${sourceType}"]`);
+    radio.checked = true;
+    handleServiceChange({ target: radio });
+  }
+
+  // Convert exported plan data (plannerExportData) into the same task shape as parseCSV
+  function parseExportData(data) {
+    const sourceTasks = data.tasks || [];
+    if (sourceTasks.length === 0) {
+      showError('The exported plan does not contain any tasks.');
+      return;
+    }
+
+    // Rebuild the hierarchy so outline numbers follow the source plan's order
+    const nodes = new Map(sourceTasks.map(t => [t.id, { task: t, children: [] }]));
+    const roots = [];
+    sourceTasks.forEach(t => {
+      const node = nodes.get(t.id);
+      if (t.parentId && nodes.has(t.parentId)) {
+        nodes.get(t.parentId).children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    const isFlat = serviceType === 'todo' || serviceType === 'plannerbasic';
+    const ordered = [];
+    const walk = (list, parentOutline) => {
+      list.sort((a, b) => (a.task.order || 0) - (b.task.order || 0));
+      list.forEach((node, index) => {
+        const outlineNumber = parentOutline ? `${parentOutline}.${index + 1}` : String(index + 1);
+        ordered.push({ task: node.task, outlineNumber });
+        walk(node.children, outlineNumber);
+      });
+    };
+    walk(roots, '');
+
+    const outlineById = {};
+    ordered.forEach((row, i) => {
+      outlineById[row.task.id] = isFlat ? String(i + 1) : row.outlineNumber;
+    });
+
+    const tasks = ordered.map(({ task }, i) => {
+      const details = data.detailsMap?.[task.id];
+      const checklist = details?.checklist
+        ? Object.values(details.checklist)
+        : (task.checklist || []);
+      const bucket = task.bucketName || (task.bucketId && data.bucketMap?.[task.bucketId]) || '';
+      const outlineNumber = outlineById[task.id];
+
+      // Premium exports carry emails; Basic exports carry Graph user IDs, which the Basic importer also resolves
+      const assignedTo = task.assignedToEmails ||
+        (task.assignments && !Array.isArray(task.assignments) ? Object.keys(task.assignments) : []);
+
+      const normalized = {
+        rowNumber: i + 1,
+        id: '',
+        outlineNumber: outlineNumber,
+        title: task.title || 'Untitled Task',
+        bucket: bucket,
+        priority: normalizePriority(mapValueToPriority(task.priority), serviceType),
+        startDate: toDateKey(task.startDateTime),
+        dueDate: toDateKey(task.dueDateTime),
+        assignedTo: assignedTo,
+        description: details?.description || task.description || '',
+        checklistItems: checklist.filter(c => c.title).map(c => ({ title: c.title, isChecked: !!c.isChecked })),
+        predecessors: []
+      };
+
+      if (!isFlat) {
+        normalized.predecessors = (task.predecessors || [])
+          .filter(p => outlineById[p.taskId])
+          .map(p => ({ outlineNumber: outlineById[p.taskId], type: p.type || 'FS', lagDays: p.lagDays || 0 }));
+        normalized.parentOutline = getParentOutline(outlineNumber);
+        normalized.depth = outlineNumber.split('.').length - 1;
+      } else {
+        normalized.parentOutline = null;
+        normalized.depth = 0;
+      }
+
+      return normalized;
+    });
+
+    parsedFields = new Set(Object.keys(UPDATE_FIELD_LABELS));
+
+    finalizeParsedTasks(tasks, []);
+  }
+
+  // Parse a Predecessors cell such as "1.2FS+2d;1.3SS" into link definitions
+  // Lag units: d (days, default), h (hours), w (weeks of 5 working days)
+  function parsePredecessors(value) {
+    const links = [];
+    const invalid = [];
 
-      // Validate hierarchy
-      const outlineSet = new Set(tasks.map(t => t.outlineNumber));
-      tasks.forEach(task => {
-        if (task.parentOutline && !outlineSet.has(task.parentOutline)) {
-          errors.push(`Row ${task.rowNumber + 1}: Parent outline "${task.parentOutline}" not found for "${task.outlineNumber}"`);
-        }
-      });
-    }
+    value.split(';').map(v => v.trim()).filter(Boolean).forEach(ref => {
+      const match = ref.replace(/\s+/g, '').match(/^(\d+(?:\.\d+)*)(FS|SS|FF|SF)?(?:([+-]\d+(?:\.\d+)?)([dhw])?)?$/i);
+      if (!match) {
+        invalid.push(ref);
+        return;
+      }
 
-    parsedTasks = tasks;
+      let lagDays = match[3] ? parseFloat(match[3]) : 0;
+      const unit = (match[4] || 'd').toLowerCase();
+      if (unit === 'h') lagDays = lagDays / 8;
+      if (unit === 'w') lagDays = lagDays * 5;
 
-    if (errors.length > 0) {
-      showValidationErrors(errors);
-    } else {
-      validationErrors.classList.add('hidden');
-    }
+      links.push({
+        outlineNumber: match[1],
+        type: (match[2] || 'FS').toUpperCase(),
+        lagDays: lagDays
+      });
+    });
 
-    showPreview();
+    return { links, invalid };
   }
 
-  function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      const nextChar = line[i + 1];
+  // Check that predecessors exist, are not ancestors/descendants and form no cycles
+  function validateDependencies(tasks) {
+    const errors = [];
+    const taskByOutline = new Map(tasks.map(t => [t.outlineNumber, t]));
+    const isAncestor = (a, b) => b.startsWith(`${a}.`);
 
-      if (inQuotes) {
-        if (char === '"' && nextChar === '"') {
-          current += '"';
-          i++;
-        } else if (char === '"') {
-          inQuotes = false;
-        } else {
-          current += char;
+    tasks.forEach(task => {
+      task.predecessors.forEach(link => {
+        if (!taskByOutline.has(link.outlineNumber)) {
+          errors.push(`Row ${task.rowNumber + 1}: Predecessor "${link.outlineNumber}" not found for "${task.outlineNumber}"`);
+        } else if (link.outlineNumber === task.outlineNumber) {
+          errors.push(`Row ${task.rowNumber + 1}: Task "${task.outlineNumber}" cannot depend on itself`);
+        } else if (isAncestor(link.outlineNumber, task.outlineNumber) || isAncestor(task.outlineNumber, link.outlineNumber)) {
+          errors.push(`Row ${task.rowNumber + 1}: "${task.outlineNumber}" cannot be linked to its own summary task or subtask "${link.outlineNumber}"`);
         }
-      } else {
-        if (char === '"') {
-          inQuotes = true;
-        } else if (char === ',') {
-          result.push(current.trim());
-          current = '';
-        } else {
-          current += char;
+      });
+    });
+
+    // Depth-first search for cycles (0 = unvisited, 1 = in progress, 2 = done)
+    const state = new Map();
+    const reported = new Set();
+    const visit = (outline, path) => {
+      state.set(outline, 1);
+      const task = taskByOutline.get(outline);
+      for (const link of task.predecessors) {
+        const next = link.outlineNumber;
+        if (!taskByOutline.has(next) || next === outline) continue;
+        if (state.get(next) === 1) {
+          const cycle = [...path.slice(path.indexOf(next)), next];
+          const key = [...cycle].sort().join(',');
+          if (!reported.has(key)) {
+            reported.add(key);
+            errors.push(`Dependency cycle: ${cycle.join(' → ')}`);
+          }
+        } else if (!state.get(next)) {
+          visit(next, [...path, next]);
         }
       }
-    }
-    result.push(current.trim());
-    return result;
+      state.set(outline, 2);
+    };
+    tasks.forEach(task => {
+      if (!state.get(task.outlineNumber)) visit(task.outlineNumber, [task.outlineNumber]);
+    });
+
+    return errors;
+  }
+
+  // Checklist items are plain strings from CSV, or { title, isChecked } from Markdown and copies
+  function toChecklistItem(item) {
+    return typeof item === 'string' ? { title: item, isChecked: false } : item;
   }
 
   function normalizePriority(priority, svcType) {
@@ -545,6 +1668,75 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     validationErrors.classList.remove('hidden');
   }
 
+  // Warnings do not block the import, unlike validation errors
+  function showPreviewWarnings(warnings) {
+    if (warnings.length === 0) {
+      previewWarnings.classList.add('hidden');
+      return;
+    }
+    warningList.innerHTML = warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('');
+    previewWarnings.classList.remove('hidden');
+  }
+
+  // Resolve AssignedTo emails to Graph users (Planner Basic), caching per import
+  async function resolveBasicAssignees() {
+    const emails = [...new Set(parsedTasks.flatMap(t => t.assignedTo.map(e => e.toLowerCase())))];
+    const pending = emails.filter(e => !assigneeCache[e]);
+
+    if (pending.length > 0) {
+      showPreviewWarnings([`Looking up ${pending.length} assignee(s)...`]);
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'resolveBasicAssignees',
+          planId: importSession.planId,
+          token: importSession.token,
+          emails: pending
+        });
+        if (!response.success) {
+          throw new Error(response.error || 'Lookup failed');
+        }
+        Object.assign(assigneeCache, response.data);
+      } catch (error) {
+        console.error('[Import] Error resolving assignees:', error);
+        pending.forEach(e => { assigneeCache[e] = { id: null, error: error.message }; });
+      }
+    }
+
+    const warnings = [];
+    emails.forEach(email => {
+      const user = assigneeCache[email];
+      if (!user?.id) {
+        warnings.push(`${email}: could not be resolved (${user?.error || 'unknown'}) - the assignment will be skipped`);
+      } else if (user.isMember === false) {
+        warnings.push(`${email}: is not a member of the plan's group - the assignment will be skipped`);
+      }
+    });
+    showPreviewWarnings(warnings);
+  }
+
+  // Premium: emails in the CSV that are not yet team members (resources) of the plan
+  function getUnmatchedPremiumAssignees() {
+    const known = new Set(existingResources.map(r => (r.userPrincipalName || '').toLowerCase()).filter(Boolean));
+    const emails = [...new Set(parsedTasks.flatMap(t => t.assignedTo.map(e => e.toLowerCase())))];
+    return emails.filter(e => !known.has(e));
+  }
+
+  function checkPremiumAssignees() {
+    const unmatched = getUnmatchedPremiumAssignees();
+    showPreviewWarnings(unmatched.map(email =>
+      `${email}: is not a team member of this plan - add them below or the assignment will be skipped`
+    ));
+    addMembersOption.classList.toggle('hidden', unmatched.length === 0);
+  }
+
+  // Graph user IDs for a task's resolvable, member assignees
+  function getBasicAssigneeIds(task) {
+    return task.assignedTo
+      .map(e => assigneeCache[e.toLowerCase()])
+      .filter(user => user?.id && user.isMember !== false)
+      .map(user => user.id);
+  }
+
   function showPreview() {
     showStep('preview');
 
@@ -582,6 +1774,18 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       renderBucketMapping(csvBuckets);
     }
 
+    // Assignee lookups (Planner Basic needs Graph user IDs)
+    showPreviewWarnings([]);
+    addMembersOption.classList.add('hidden');
+    if (serviceType === 'plannerbasic' && importSession?.planId) {
+      assigneeLookup = resolveBasicAssignees();
+    } else if (serviceType === 'planner') {
+      checkPremiumAssignees();
+    }
+
+    // Existing task matches (update mode)
+    refreshUpdateMatches();
+
     // Preview table
     renderPreviewTable();
     if (serviceType !== 'todo' && serviceType !== 'plannerbasic') {
@@ -592,6 +1796,285 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     updateImportButton();
   }
 
+  // Fetch the destination's current tasks in a common shape for matching
+  async function loadExistingTasks() {
+    if (serviceType === 'todo') {
+      const response = await sendToDoPageMessage('getToDoTasksViaPage', { listId: selectedListId });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to get tasks');
+      }
+      return (response.data || []).map(t => ({
+        id: t.Id || t.id,
+        title: t.Subject || t.title || '',
+        bucket: '',
+        priority: normalizePriority(t.Importance || t.importance || '', 'todo'),
+        startDate: toDateKey(t.StartDate?.DateTime),
+        dueDate: toDateKey(t.DueDate?.DateTime),
+        description: t.Body?.Content || ''
+      }));
+    }
+
+    if (serviceType === 'plannerbasic') {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getBasicImportTasks',
+        planId: importSession.planId,
+        token: importSession.token
+      });
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to get tasks');
+      }
+      const { tasks, detailsMap, bucketMap } = response.data;
+      return tasks.map(t => ({
+        id: t.id,
+        title: t.title || '',
+        bucket: bucketMap[t.bucketId] || '',
+        priority: mapValueToPriority(t.priority),
+        startDate: toDateKey(t.startDateTime),
+        dueDate: toDateKey(t.dueDateTime),
+        description: detailsMap[t.id]?.description || '',
+        // Versions the diff is based on; updates send them so later edits aren't overwritten
+        etag: t['@odata.etag'],
+        detailsEtag: detailsMap[t.id]?.['@odata.etag']
+      }));
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'getImportTasks',
+      baseUrl: importSession.baseUrl,
+      token: importSession.token
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get tasks');
+    }
+    const bucketNames = {};
+    existingBuckets.forEach(b => { bucketNames[b.id] = b.name; });
+    return response.data.map(t => ({
+      id: t.id,
+      title: t.name || '',
+      bucket: bucketNames[t.bucketId] || '',
+      priority: mapValueToPriority(t.priority),
+      startDate: toDateKey(t.scheduledStart),
+      dueDate: toDateKey(t.scheduledFinish),
+      description: t.notes || ''
+    }));
+  }
+
+  // Reload existing tasks and re-match rows whenever the mode or destination changes
+  async function refreshUpdateMatches() {
+    updateMatches = new Map();
+    updateReady = false;
+
+    if (importMode !== 'update' || parsedTasks.length === 0) {
+      updateDiff.classList.add('hidden');
+      updateImportButton();
+      return;
+    }
+
+    updateDiff.classList.remove('hidden');
+    if (serviceType === 'todo' && !selectedListId) {
+      updateDiff.innerHTML = '<p class="mapping-description">Select a list to compare against its tasks.</p>';
+      updateImportButton();
+      return;
+    }
+
+    updateDiff.innerHTML = '<p class="mapping-description">Loading existing tasks...</p>';
+    const lookup = loadExistingTasks();
+    updateLookup = lookup;
+    updateImportButton();
+
+    try {
+      const existing = await lookup;
+      if (updateLookup !== lookup) return;
+      matchExistingTasks(existing);
+      updateReady = true;
+      renderUpdateDiff();
+    } catch (error) {
+      if (updateLookup !== lookup) return;
+      console.error('[Import] Failed to load existing tasks:', error);
+      updateDiff.innerHTML = `<p class="update-diff-error">Could not load existing tasks: ${escapeHtml(error.message)}</p>`;
+    } finally {
+      if (updateLookup === lookup) updateLookup = null;
+      updateImportButton();
+    }
+  }
+
+  // Match rows by ID column first, then by title + bucket (title only for To Do)
+  function matchExistingTasks(existing) {
+    const matchKey = (title, bucket) => serviceType === 'todo'
+      ? title.trim().toLowerCase()
+      : `${title.trim().toLowerCase()}|${(bucket || '').trim().toLowerCase()}`;
+
+    const byId = new Map(existing.map(t => [t.id, t]));
+    const byKey = new Map();
+    existing.forEach(t => {
+      const key = matchKey(t.title, t.bucket);
+      if (!byKey.has(key)) byKey.set(key, t);
+    });
+
+    const claimed = new Set();
+    parsedTasks.forEach(task => {
+      const match = (task.id && byId.get(task.id)) || byKey.get(matchKey(task.title, task.bucket));
+      if (!match || claimed.has(match.id)) return;
+      claimed.add(match.id);
+      updateMatches.set(task.rowNumber, { existing: match, changes: getTaskChanges(task, match) });
+    });
+  }
+
+  // Fields whose value in the file differs from the existing task
+  function getTaskChanges(task, existing) {
+    const changes = [];
+    parsedFields.forEach(field => {
+      if (field === 'bucket' && (serviceType === 'todo' || !task.bucket)) return;
+
+      const isDate = field === 'startDate' || field === 'dueDate';
+      const from = (existing[field] || '').trim();
+      const to = ((isDate ? toDateKey(task[field]) : task[field]) || '').trim();
+      const same = field === 'bucket' ? from.toLowerCase() === to.toLowerCase() : from === to;
+
+      if (!same) {
+        changes.push({ field, from, to });
+      }
+    });
+    return changes;
+  }
+
+  function renderUpdateDiff() {
+    let toUpdate = 0;
+    let unchanged = 0;
+    let toCreate = 0;
+
+    const rows = parsedTasks.map(task => {
+      const match = updateMatches.get(task.rowNumber);
+      let action;
+      let details;
+
+      if (!match) {
+        toCreate++;
+        action = '<span class="diff-action create">Create</span>';
+        details = 'No matching task';
+      } else if (match.changes.length === 0) {
+        unchanged++;
+        action = '<span class="diff-action unchanged">Unchanged</span>';
+        details = '-';
+      } else {
+        toUpdate++;
+        action = '<span class="diff-action update">Update</span>';
+        details = match.changes.map(c => `
+          <div class="diff-change">
+            <strong>${UPDATE_FIELD_LABELS[c.field]}:</strong>
+            <del>${escapeHtml(c.from || '(empty)')}</del> → <ins>${escapeHtml(c.to || '(empty)')}</ins>
+          </div>
+        `).join('');
+      }
+
+      return `
+        <tr>
+          <td class="outline">${escapeHtml(task.outlineNumber)}</td>
+          <td>${escapeHtml(task.title)}</td>
+          <td>${action}</td>
+          <td>${details}</td>
+        </tr>
+      `;
+    }).join('');
+
+    updateDiff.innerHTML = `
+      <p class="mapping-description">${toUpdate} to update, ${unchanged} unchanged, ${toCreate} to create. Checklists, assignments and dependencies of matched tasks are left as they are.</p>
+      <table class="preview-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Title</th>
+            <th>Action</th>
+            <th>Changes</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  // Update only the changed fields of a matched task
+  async function updateExistingTask(task, match) {
+    const changed = {};
+    match.changes.forEach(c => { changed[c.field] = c.to || null; });
+    const taskId = match.existing.id;
+    let response;
+
+    if (serviceType === 'todo') {
+      const changes = {};
+      if ('title' in changed) changes.title = task.title;
+      if ('priority' in changed) changes.priority = task.priority;
+      if ('startDate' in changed) changes.startDate = changed.startDate;
+      if ('dueDate' in changed) changes.dueDate = changed.dueDate;
+      if ('description' in changed) changes.notes = task.description;
+      response = await sendToDoPageMessage('updateToDoTaskViaPage', { taskId, changes });
+    } else if (serviceType === 'plannerbasic') {
+      const changes = {};
+      if ('title' in changed) changes.title = task.title;
+      if ('bucket' in changed && bucketMapping[task.bucket]) changes.bucketId = bucketMapping[task.bucket];
+      if ('priority' in changed) changes.priority = mapBasicPriorityToValue(task.priority);
+      if ('startDate' in changed) changes.startDateTime = changed.startDate;
+      if ('dueDate' in changed) changes.dueDateTime = changed.dueDate;
+      if ('description' in changed) changes.description = task.description;
+      response = await chrome.runtime.sendMessage({
+        action: 'updateBasicImportTask',
+        taskId,
+        token: importSession.token,
+        changes,
+        etag: match.existing.etag,
+        detailsEtag: match.existing.detailsEtag
+      });
+    } else {
+      const changes = {};
+      if ('title' in changed) changes.name = task.title;
+      if ('bucket' in changed && bucketMapping[task.bucket]) changes.bucketId = bucketMapping[task.bucket];
+      if ('priority' in changed) changes.priority = mapPriorityToValue(task.priority);
+      if ('startDate' in changed) changes.scheduledStart = changed.startDate;
+      if ('dueDate' in changed) changes.scheduledFinish = changed.dueDate;
+      if ('description' in changed) changes.notes = task.description;
+      response = await chrome.runtime.sendMessage({
+        action: 'updateImportTask',
+        taskId,
+        changes,
+        baseUrl: importSession.baseUrl,
+        token: importSession.token
+      });
+    }
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    const fields = match.changes.map(c => UPDATE_FIELD_LABELS[c.field]).join(', ');
+    addLogEntry(`Updated: ${task.title} (${fields})`, 'success');
+    updatedCount++;
+  }
+
+  // Existing task matched to a row, or null when the row should be created
+  function getUpdateMatch(task) {
+    return importMode === 'update' ? updateMatches.get(task.rowNumber) || null : null;
+  }
+
+  // Returns 'updated' or 'unchanged' for a row matched in update mode
+  async function applyTaskUpdate(task, match) {
+    if (match.changes.length === 0) {
+      addLogEntry(`Unchanged: ${task.title}`, 'info');
+      return 'unchanged';
+    }
+    await updateExistingTask(task, match);
+    return 'updated';
+  }
+
+  // YYYY-MM-DD for comparing dates from files and APIs
+  function toDateKey(value) {
+    if (!value) return '';
+    const iso = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    if (iso) return iso[1];
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
   function renderBucketMapping(csvBuckets) {
     if (csvBuckets.length === 0) {
       document.getElementById('bucket-mapping').classList.add('hidden');
@@ -789,11 +2272,16 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       const hasSession = importSession && importSession.baseUrl;
       btnStartImport.disabled = hasErrors || !hasSession || parsedTasks.length === 0;
     }
+
+    if (importMode === 'update' && !updateReady) {
+      btnStartImport.disabled = true;
+    }
   }
 
   async function startImport() {
     showStep('progress');
     importCancelled = false;
+    updatedCount = 0;
 
     const total = parsedTasks.length;
     let created = 0;
@@ -822,6 +2310,7 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
   async function startToDoImport(total, failedItems) {
     let created = 0;
     let failed = 0;
+    let skipped = 0;
 
     // Ensure we have a To Do tab
     if (!todoTabId) {
@@ -844,42 +2333,48 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       progressFill.style.width = `${((i + 1) / total) * 100}%`;
 
       try {
-        // Create task in To Do via page API
-        const response = await sendToDoPageMessage('createToDoTaskViaPage', {
-          listId: selectedListId,
-          taskData: {
-            title: task.title,
-            priority: task.priority, // High, Normal, Low
-            dueDate: task.dueDate || null,
-            startDate: task.startDate || null,
-            notes: task.description || ''
-          }
-        });
-
-        if (response && response.success && response.data) {
-          const createdTask = response.data;
-          const taskId = createdTask.Id || createdTask.id;
-          addLogEntry(`Created: ${task.title}`, 'success');
+        const match = getUpdateMatch(task);
+        if (match) {
+          if (await applyTaskUpdate(task, match) === 'unchanged') skipped++;
+        } else {
+          // Create task in To Do via page API
+          const response = await sendToDoPageMessage('createToDoTaskViaPage', {
+            listId: selectedListId,
+            taskData: {
+              title: task.title,
+              priority: task.priority, // High, Normal, Low
+              dueDate: task.dueDate || null,
+              startDate: task.startDate || null,
+              notes: task.description || '',
+              status: task.completed ? 'Completed' : 'NotStarted'
+            }
+          });
 
-          // Add checklist items (subtasks in To Do) via page API
-          if (task.checklistItems.length > 0) {
-            for (const item of task.checklistItems) {
-              try {
-                await sendToDoPageMessage('addToDoSubtaskViaPage', {
-                  taskId: taskId,
-                  text: item,
-                  isCompleted: false
-                });
-              } catch (err) {
-                console.warn('[Import] Failed to add checklist item:', err.message);
+          if (response && response.success && response.data) {
+            const createdTask = response.data;
+            const taskId = createdTask.Id || createdTask.id;
+            addLogEntry(`Created: ${task.title}`, 'success');
+
+            // Add checklist items (subtasks in To Do) via page API
+            if (task.checklistItems.length > 0) {
+              for (const item of task.checklistItems.map(toChecklistItem)) {
+                try {
+                  await sendToDoPageMessage('addToDoSubtaskViaPage', {
+                    taskId: taskId,
+                    text: item.title,
+                    isCompleted: item.isChecked
+                  });
+                } catch (err) {
+                  console.warn('[Import] Failed to add checklist item:', err.message);
+                }
               }
+              addLogEntry(`  Added ${task.checklistItems.length} checklist items`, 'info');
             }
-            addLogEntry(`  Added ${task.checklistItems.length} checklist items`, 'info');
-          }
 
-          created++;
-        } else {
-          throw new Error(response?.error || 'Unknown error');
+            created++;
+          } else {
+            throw new Error(response?.error || 'Unknown error');
+          }
         }
       } catch (error) {
         console.error('[Import] Error creating To Do task:', error);
@@ -887,20 +2382,19 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
         failedItems.push({ task, error: error.message });
         failed++;
       }
-
-      // Small delay to avoid rate limiting
-      if (i < parsedTasks.length - 1) {
-        await new Promise(r => setTimeout(r, 200));
-      }
     }
 
-    showResults(created, failed, 0, failedItems);
+    showResults(created, failed, skipped, failedItems);
   }
 
   // Planner Basic import - flat structure with buckets via Graph API
   async function startBasicImport(total, failedItems) {
     let created = 0;
     let failed = 0;
+    let skipped = 0;
+
+    // Make sure every assignee has been looked up (cached from the preview step)
+    await (assigneeLookup || resolveBasicAssignees());
 
     // First, create any new buckets that are needed
     const bucketsToCreate = [];
@@ -951,52 +2445,62 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       progressFill.style.width = `${((i + 1) / total) * 100}%`;
 
       try {
-        // Get bucket ID from mapping
-        const bucketId = task.bucket ? bucketMapping[task.bucket] : null;
+        const match = getUpdateMatch(task);
+        if (match) {
+          if (await applyTaskUpdate(task, match) === 'unchanged') skipped++;
+        } else {
+          // Get bucket ID from mapping
+          const bucketId = task.bucket ? bucketMapping[task.bucket] : null;
+          const assigneeIds = getBasicAssigneeIds(task);
 
-        // Create task via Graph API
-        const response = await chrome.runtime.sendMessage({
-          action: 'createBasicImportTask',
-          planId: importSession.planId,
-          token: importSession.token,
-          taskData: {
-            title: task.title,
-            bucketId: bucketId,
-            priority: mapBasicPriorityToValue(task.priority),
-            startDateTime: task.startDate || null,
-            dueDateTime: task.dueDate || null,
-            assignedTo: task.assignedTo || []
-          }
-        });
+          // Create task via Graph API
+          const response = await chrome.runtime.sendMessage({
+            action: 'createBasicImportTask',
+            planId: importSession.planId,
+            token: importSession.token,
+            taskData: {
+              title: task.title,
+              bucketId: bucketId,
+              priority: mapBasicPriorityToValue(task.priority),
+              startDateTime: task.startDate || null,
+              dueDateTime: task.dueDate || null,
+              assigneeIds: assigneeIds,
+              percentComplete: task.completed ? 100 : 0
+            }
+          });
 
-        if (response.success && response.data) {
-          const createdTask = response.data;
-          addLogEntry(`Created: ${task.title}`, 'success');
+          if (response.success && response.data) {
+            const createdTask = response.data;
+            addLogEntry(`Created: ${task.title}`, 'success');
+            if (assigneeIds.length < task.assignedTo.length) {
+              addLogEntry(`  Skipped ${task.assignedTo.length - assigneeIds.length} unresolved assignee(s)`, 'info');
+            }
 
-          // Update task details (description + checklist) if needed
-          if (task.description || task.checklistItems.length > 0) {
-            try {
-              await chrome.runtime.sendMessage({
-                action: 'updateBasicTaskDetails',
-                taskId: createdTask.id,
-                token: importSession.token,
-                details: {
-                  description: task.description || '',
-                  checklistItems: task.checklistItems
+            // Update task details (description + checklist) if needed
+            if (task.description || task.checklistItems.length > 0) {
+              try {
+                await chrome.runtime.sendMessage({
+                  action: 'updateBasicTaskDetails',
+                  taskId: createdTask.id,
+                  token: importSession.token,
+                  details: {
+                    description: task.description || '',
+                    checklistItems: task.checklistItems.map(toChecklistItem)
+                  }
+                });
+                if (task.checklistItems.length > 0) {
+                  addLogEntry(`  Added ${task.checklistItems.length} checklist items`, 'info');
                 }
-              });
-              if (task.checklistItems.length > 0) {
-                addLogEntry(`  Added ${task.checklistItems.length} checklist items`, 'info');
+              } catch (detailErr) {
+                console.warn('[Import] Failed to update task details:', detailErr.message);
+                addLogEntry(`  Warning: Could not set details for ${task.title}`, 'info');
               }
-            } catch (detailErr) {
-              console.warn('[Import] Failed to update task details:', detailErr.message);
-              addLogEntry(`  Warning: Could not set details for ${task.title}`, 'info');
             }
-          }
 
-          created++;
-        } else {
-          throw new Error(response.error || 'Unknown error');
+            created++;
+          } else {
+            throw new Error(response.error || 'Unknown error');
+          }
         }
       } catch (error) {
         console.error('[Import] Error creating basic task:', error);
@@ -1004,14 +2508,9 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
         failedItems.push({ task, error: error.message });
         failed++;
       }
-
-      // Small delay to avoid rate limiting
-      if (i < parsedTasks.length - 1) {
-        await new Promise(r => setTimeout(r, 300));
-      }
     }
 
-    showResults(created, failed, 0, failedItems);
+    showResults(created, failed, skipped, failedItems);
   }
 
   function mapBasicPriorityToValue(priority) {
@@ -1067,6 +2566,39 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       }
     }
 
+    // Match assignees to team members, adding missing people if requested
+    const resourceIdByEmail = {};
+    existingResources.forEach(r => {
+      if (r.userPrincipalName) resourceIdByEmail[r.userPrincipalName.toLowerCase()] = r.id;
+    });
+
+    const unmatched = getUnmatchedPremiumAssignees();
+    if (unmatched.length > 0 && addMissingMembers.checked) {
+      addLogEntry(`Adding ${unmatched.length} team member(s)...`, 'info');
+
+      for (const email of unmatched) {
+        try {
+          const response = await chrome.runtime.sendMessage({
+            action: 'createImportResource',
+            email: email,
+            baseUrl: importSession.baseUrl,
+            token: importSession.token
+          });
+
+          if (response.success && response.data) {
+            resourceIdByEmail[email] = response.data.id;
+            existingResources.push({ id: response.data.id, name: response.data.name, userPrincipalName: email });
+            addLogEntry(`Added team member: ${email}`, 'success');
+          } else {
+            throw new Error(response.error || 'Failed to add team member');
+          }
+        } catch (error) {
+          console.error('[Import] Error adding team member:', error);
+          addLogEntry(`Failed to add team member "${email}": ${error.message}`, 'error');
+        }
+      }
+    }
+
     for (let i = 0; i < parsedTasks.length; i++) {
       if (importCancelled) {
         addLogEntry('Import cancelled by user', 'info');
@@ -1078,6 +2610,14 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       progressFill.style.width = `${((i + 1) / total) * 100}%`;
 
       try {
+        // Matched rows keep their place in the hierarchy; new subtasks can still attach to them
+        const match = getUpdateMatch(task);
+        if (match) {
+          taskIdMap[task.outlineNumber] = match.existing.id;
+          if (await applyTaskUpdate(task, match) === 'unchanged') skipped++;
+          continue;
+        }
+
         // Get bucket ID from mapping
         const bucketId = task.bucket ? bucketMapping[task.bucket] : null;
 
@@ -1093,7 +2633,8 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
             priority: mapPriorityToValue(task.priority),
             scheduledStart: task.startDate || null,
             scheduledFinish: task.dueDate || null,
-            notes: task.description || ''
+            notes: task.description || '',
+            percentComplete: task.completed ? 100 : 0
           },
           baseUrl: importSession.baseUrl,
           token: importSession.token
@@ -1117,11 +2658,12 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
 
           // Create checklist items
           if (task.checklistItems.length > 0) {
-            for (const item of task.checklistItems) {
+            for (const item of task.checklistItems.map(toChecklistItem)) {
               await chrome.runtime.sendMessage({
                 action: 'createImportChecklist',
                 taskId: createdTask.id,
-                name: item,
+                name: item.title,
+                completed: item.isChecked,
                 baseUrl: importSession.baseUrl,
                 token: importSession.token
               });
@@ -1129,6 +2671,28 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
             addLogEntry(`  Added ${task.checklistItems.length} checklist items`, 'info');
           }
 
+          // Create assignments
+          if (task.assignedTo.length > 0) {
+            let assigned = 0;
+            for (const email of task.assignedTo) {
+              const resourceId = resourceIdByEmail[email.toLowerCase()];
+              if (!resourceId) continue;
+              const assignResponse = await chrome.runtime.sendMessage({
+                action: 'createImportAssignment',
+                taskId: createdTask.id,
+                resourceId: resourceId,
+                baseUrl: importSession.baseUrl,
+                token: importSession.token
+              });
+              if (assignResponse.success) {
+                assigned++;
+              } else {
+                addLogEntry(`  Failed to assign ${email}: ${assignResponse.error}`, 'error');
+              }
+            }
+            addLogEntry(`  Assigned ${assigned} of ${task.assignedTo.length} people`, 'info');
+          }
+
           created++;
         } else {
           throw new Error(response.error || 'Unknown error');
@@ -1141,7 +2705,66 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       }
     }
 
-    showResults(created, failed, skipped, failedItems);
+    // Create dependencies once all tasks exist
+    const failedLinkItems = [];
+    const tasksWithLinks = parsedTasks.filter(t => t.predecessors.length > 0);
+    const matchedOutlines = new Set(parsedTasks.filter(t => getUpdateMatch(t)).map(t => t.outlineNumber));
+    if (!importCancelled && tasksWithLinks.length > 0) {
+      addLogEntry('Creating dependencies...', 'info');
+      let linksCreated = 0;
+
+      for (const task of tasksWithLinks) {
+        for (const link of task.predecessors) {
+          const label = `${link.outlineNumber}${link.type} → ${task.outlineNumber}`;
+          const predecessorId = taskIdMap[link.outlineNumber];
+          const successorId = taskIdMap[task.outlineNumber];
+
+          // Links between two existing tasks are assumed to be in place already
+          if (matchedOutlines.has(link.outlineNumber) && matchedOutlines.has(task.outlineNumber)) {
+            continue;
+          }
+
+          if (!predecessorId || !successorId) {
+            failedLinkItems.push({ link: label, error: 'Task was not created' });
+            continue;
+          }
+
+          try {
+            const response = await chrome.runtime.sendMessage({
+              action: 'createImportLink',
+              predecessorId: predecessorId,
+              successorId: successorId,
+              linkType: link.type,
+              lagDays: link.lagDays,
+              baseUrl: importSession.baseUrl,
+              token: importSession.token
+            });
+
+            if (!response.success) {
+              throw new Error(response.error || 'Unknown error');
+            }
+            linksCreated++;
+          } catch (error) {
+            console.error('[Import] Error creating link:', error);
+            addLogEntry(`Failed link: ${label} - ${error.message}`, 'error');
+            failedLinkItems.push({ link: label, error: error.message });
+          }
+        }
+      }
+
+      addLogEntry(`Created ${linksCreated} dependencies`, linksCreated > 0 ? 'success' : 'info');
+    }
+
+    showResults(created, failed, skipped, failedItems, failedLinkItems);
+  }
+
+  // Planner priority number (Graph and PSS) -> normalized priority
+  function mapValueToPriority(value) {
+    if (value === undefined || value === null) return 'medium';
+    if (value <= 1) return 'urgent';
+    if (value <= 4) return 'important';
+    if (value <= 7) return 'medium';
+    return 'low';
   }
 
   function mapPriorityToValue(priority) {
@@ -1162,10 +2785,11 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     progressLog.scrollTop = progressLog.scrollHeight;
   }
 
-  function showResults(created, failed, skipped, failedItems) {
+  function showResults(created, failed, skipped, failedItems, failedLinkItems = []) {
     showStep('results');
 
     resultSuccess.textContent = created;
+    resultUpdated.textContent = updatedCount;
     resultFailed.textContent = failed;
     resultSkipped.textContent = skipped;
 
@@ -1184,10 +2808,23 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
     } else {
       failedTasks.classList.add('hidden');
     }
+
+    if (failedLinkItems.length > 0) {
+      failedLinks.classList.remove('hidden');
+      failedLinksList.innerHTML = failedLinkItems.map(item => `
+        <li>
+          <div class="task-title">${escapeHtml(item.link)}</div>
+          <div class="task-error">${escapeHtml(item.error)}</div>
+        </li>
+      `).join('');
+    } else {
+      failedLinks.classList.add('hidden');
+    }
   }
 
   function showStep(step) {
     stepUpload.classList.add('hidden');
+    stepMapping.classList.add('hidden');
     stepPreview.classList.add('hidden');
     stepProgress.classList.add('hidden');
     stepResults.classList.add('hidden');
@@ -1196,6 +2833,9 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
       case 'upload':
         stepUpload.classList.remove('hidden');
         break;
+      case 'mapping':
+        stepMapping.classList.remove('hidden');
+        break;
       case 'preview':
         stepPreview.classList.remove('hidden');
         break;
@@ -1210,7 +2850,13 @@ Exercise routine,Normal,,Daily workout,Warm up;Cardio;Strength training;Cool dow
 
   function resetImport() {
     parsedTasks = [];
+    copySource = null;
+    columnSource = null;
+    assigneeCache = {};
+    assigneeLookup = null;
     bucketMapping = {};
+    updateMatches = new Map();
+    updateReady = false;
     selectedListId = null;
     fileInput.value = '';
     todoListSelect.value = '';
@@ -10,6 +10,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   const apiStatusEl = document.getElementById('api-status');
   const statusEl = document.getElementById('status');
   const exportBtn = document.getElementById('btn-export');
+  const exportAllListsBtn = document.getElementById('btn-export-all-lists');
+  const bulkExportBtn = document.getElementById('btn-bulk-export');
   const exportProgress = document.getElementById('export-progress');
   const addTaskBtn = document.getElementById('btn-add-task');
   const addTaskResult = document.getElementById('add-task-result');
@@ -20,6 +22,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   const taskPrioritySelect = document.getElementById('task-priority');
   const viewResultsBtn = document.getElementById('btn-view-results');
   const historyList = document.getElementById('history-list');
+  const scheduleDescription = document.getElementById('schedule-description');
+  const scheduleIntervalSelect = document.getElementById('schedule-interval');
+  const scheduleDownloadSelect = document.getElementById('schedule-download');
+  const saveScheduleBtn = document.getElementById('btn-save-schedule');
+  const runScheduleBtn = document.getElementById('btn-run-schedule');
+  const scheduleStatus = document.getElementById('schedule-status');
+  const scheduleResult = document.getElementById('schedule-result');
 
   // State
   let currentContext = null;
@@ -36,7 +45,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         exportProgress.classList.remove('hidden');
 
         if (state.progress) {
-          updateProgress(state.progress);
+          updateProgress(state.progress, state.retryCount);
         }
 
         showStatus(`Extraction in progress (${state.method || 'API'})...`, 'info');
@@ -68,7 +77,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         exportProgress.classList.remove('hidden');
 
         if (state.progress) {
-          updateProgress(state.progress);
+          updateProgress(state.progress, state.retryCount);
         }
       } else if (state.status === 'complete') {
         isExtracting = false;
@@ -226,6 +235,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Update export button text
     exportBtn.textContent = isToDoService ? 'Extract To Do Tasks' : 'Extract Plan Data';
 
+    // "All lists" applies to To Do, "all plans" to Planner
+    exportAllListsBtn.classList.toggle('hidden', !isToDoService);
+    bulkExportBtn.classList.toggle('hidden', isToDoService);
+
     // Hide/show extraction mode options for To Do (API only, so no mode selection needed)
     const modeSelection = document.querySelector('.mode-selection');
     if (modeSelection) {
@@ -302,8 +315,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     return selected ? selected.value : 'quick';
   }
 
-  // Update progress display
-  function updateProgress(progress) {
+  // Update progress display (retryCount comes with extraction state updates only)
+  let progressDetailText = '';
+  let lastRetryCount = 0;
+  function updateProgress(progress, retryCount) {
+    if (retryCount !== undefined) {
+      lastRetryCount = retryCount;
+    }
+
     const progressText = exportProgress.querySelector('.progress-text');
     const progressBar = document.getElementById('progress-bar');
     const progressDetail = document.getElementById('progress-detail');
@@ -315,19 +334,26 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (progress.total && progress.current !== undefined) {
       const percent = Math.round((progress.current / progress.total) * 100);
       progressBar.style.width = `${percent}%`;
-      progressDetail.textContent = `${progress.current} of ${progress.total} tasks`;
+      progressDetailText = `${progress.current} of ${progress.total} ${progress.unit || 'tasks'}`;
     } else if (progress.status === 'scrolling') {
       progressBar.style.width = '0%';
-      progressDetail.textContent = 'Loading all tasks...';
+      progressDetailText = 'Loading all tasks...';
     }
+
+    // Throttled or failed requests the background retried
+    const retryNote = lastRetryCount > 0
+      ? `${lastRetryCount} request${lastRetryCount === 1 ? '' : 's'} retried`
+      : '';
+    progressDetail.textContent = [progressDetailText, retryNote].filter(Boolean).join(' - ');
   }
 
-  // Export plan data
-  async function exportPlan() {
+  // Export plan data (allLists exports every To Do list instead of the open one)
+  async function exportPlan(allLists = false) {
     const tab = await getCurrentTab();
     const mode = getSelectedMode();
 
     exportBtn.disabled = true;
+    exportAllListsBtn.disabled = true;
     exportProgress.classList.remove('hidden');
 
     // Reset progress
@@ -335,6 +361,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const progressDetail = document.getElementById('progress-detail');
     progressBar.style.width = '0%';
     progressDetail.textContent = '';
+    progressDetailText = '';
+    lastRetryCount = 0;
 
     // Set up message listener for progress updates
     const progressListener = (message, sender) => {
@@ -347,11 +375,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       const response = await chrome.tabs.sendMessage(tab.id, {
         action: 'extractPlan',
-        mode: mode
+        mode: mode,
+        allLists
       });
 
       if (response.success) {
-        showStatus('Plan exported successfully!', 'success');
+        if (response.data?.partial) {
+          showStatus('Exported, but some pages could not be read - the export is partial', 'warning');
+        } else {
+          showStatus('Plan exported successfully!', 'success');
+        }
 
         // Save to history
         await saveToHistory(response.data);
@@ -367,6 +400,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     } finally {
       chrome.runtime.onMessage.removeListener(progressListener);
       exportBtn.disabled = false;
+      exportAllListsBtn.disabled = false;
       exportProgress.classList.add('hidden');
     }
   }
@@ -418,6 +452,132 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Describe the current plan/list as a schedule target (API access required)
+  function getScheduleTarget(context) {
+    if (!context) return null;
+    const name = context.serviceType === 'todo'
+      ? (context.listName || 'All To Do Lists')
+      : (context.planName || planNameEl.textContent);
+
+    if (context.serviceType === 'todo' && context.token) {
+      return {
+        id: `todo:${context.listId || context.listName || 'all'}`,
+        serviceType: 'todo',
+        planType: 'todo',
+        targetId: context.listId,
+        listId: context.listId,
+        listName: context.listName,
+        name
+      };
+    }
+    if (context.planType === 'premium' && context.hasPssAccess && context.pssProjectId) {
+      return {
+        id: `premium:${context.pssProjectId}`,
+        serviceType: 'planner',
+        planType: 'premium',
+        targetId: context.pssProjectId,
+        name
+      };
+    }
+    if (context.planType === 'basic' && context.token && context.planId) {
+      return {
+        id: `basic:${context.planId}`,
+        serviceType: 'planner',
+        planType: 'basic',
+        targetId: context.planId,
+        name
+      };
+    }
+    return null;
+  }
+
+  // Load the schedule for the current plan/list
+  async function loadSchedule() {
+    const target = getScheduleTarget(currentContext);
+    const canSchedule = !!target;
+
+    scheduleIntervalSelect.disabled = !canSchedule;
+    scheduleDownloadSelect.disabled = !canSchedule;
+    saveScheduleBtn.disabled = !canSchedule;
+    runScheduleBtn.disabled = true;
+    scheduleStatus.textContent = '';
+    scheduleStatus.className = 'schedule-status';
+    scheduleDescription.textContent = canSchedule
+      ? `Re-export this ${target.serviceType === 'todo' ? 'list' : 'plan'} automatically in the background`
+      : 'Open a plan or list with API access to schedule exports';
+
+    const response = await chrome.runtime.sendMessage({ action: 'getScheduledExports', acknowledge: true });
+    const schedules = response?.data || [];
+    const schedule = canSchedule ? schedules.find(s => s.id === target.id) : null;
+
+    scheduleIntervalSelect.value = String(schedule?.intervalMinutes || 0);
+    scheduleDownloadSelect.value = schedule?.download || 'none';
+    runScheduleBtn.disabled = !schedule;
+
+    if (schedule?.lastStatus === 'error') {
+      scheduleStatus.textContent = `Last run failed ${formatDate(new Date(schedule.lastRunAt).toISOString())}: ${schedule.lastError}`;
+      scheduleStatus.className = 'schedule-status error';
+    } else if (schedule?.lastRunAt) {
+      scheduleStatus.textContent = `Last run ${formatDate(new Date(schedule.lastRunAt).toISOString())} - ${schedule.lastTaskCount} tasks${schedule.lastPartial ? ' (partial)' : ''}`;
+    } else if (schedule) {
+      scheduleStatus.textContent = 'Scheduled - first run pending';
+    }
+
+    const otherCount = schedules.length - (schedule ? 1 : 0);
+    if (otherCount > 0) {
+      scheduleStatus.textContent += `${scheduleStatus.textContent ? ' · ' : ''}${otherCount} other scheduled export${otherCount !== 1 ? 's' : ''}`;
+    }
+  }
+
+  // Save (or turn off) the schedule for the current plan/list
+  async function saveSchedule() {
+    const target = getScheduleTarget(currentContext);
+    if (!target) return;
+
+    saveScheduleBtn.disabled = true;
+    try {
+      const intervalMinutes = parseInt(scheduleIntervalSelect.value, 10) || 0;
+      const response = await chrome.runtime.sendMessage({
+        action: 'setScheduledExport',
+        schedule: { ...target, intervalMinutes, download: scheduleDownloadSelect.value }
+      });
+
+      if (response?.success) {
+        showResult(scheduleResult, intervalMinutes ? 'Schedule saved' : 'Schedule removed', 'success');
+      } else {
+        showResult(scheduleResult, response?.error || 'Failed to save schedule', 'error');
+      }
+    } catch (error) {
+      showResult(scheduleResult, 'Error: ' + error.message, 'error');
+    } finally {
+      saveScheduleBtn.disabled = false;
+      await loadSchedule();
+    }
+  }
+
+  // Run the saved schedule right away
+  async function runScheduleNow() {
+    const target = getScheduleTarget(currentContext);
+    if (!target) return;
+
+    runScheduleBtn.disabled = true;
+    scheduleStatus.textContent = 'Running...';
+    scheduleStatus.className = 'schedule-status';
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'runScheduledExport', scheduleId: target.id });
+      if (response?.success) {
+        showResult(scheduleResult, `Exported ${response.data?.lastTaskCount || 0} tasks`, 'success');
+      } else {
+        showResult(scheduleResult, response?.error || 'Scheduled export failed', 'error');
+      }
+    } catch (error) {
+      showResult(scheduleResult, 'Error: ' + error.message, 'error');
+    } finally {
+      await loadSchedule();
+      await loadHistory();
+    }
+  }
+
   // Show result message
   function showResult(element, message, type) {
     element.textContent = message;
@@ -428,24 +588,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 5000);
   }
 
-  // Save export to history
+  // Save export to history (background.js keeps the full snapshot for comparisons)
   async function saveToHistory(data) {
-    const history = await chrome.storage.local.get('plannerExportHistory');
-    const exportHistory = history.plannerExportHistory || [];
-
-    exportHistory.unshift({
-      planName: data.plan?.title || 'Unknown Plan',
-      taskCount: data.tasks?.length || 0,
-      exportedAt: new Date().toISOString()
-    });
-
-    // Keep only last 10 exports
-    if (exportHistory.length > 10) {
-      exportHistory.pop();
+    const response = await chrome.runtime.sendMessage({ action: 'storeExportSnapshot', data });
+    if (!response?.success) {
+      console.error('Failed to store export snapshot:', response?.error);
     }
-
-    await chrome.storage.local.set({ plannerExportHistory: exportHistory });
-    renderHistory(exportHistory);
+    await loadHistory();
   }
 
   // Render export history
@@ -456,9 +605,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     historyList.innerHTML = history.map((item, index) => `
-      <div class="history-item" data-index="${index}">
+      <div class="history-item" data-index="${index}" data-snapshot-id="${escapeHtml(item.snapshotId || '')}">
         <div class="name">${escapeHtml(item.planName)}</div>
-        <div class="date">${item.taskCount} tasks - ${formatDate(item.exportedAt)}</div>
+        <div class="date">${item.taskCount} tasks - ${formatDate(item.exportedAt)}${item.scheduled ? ' (scheduled)' : ''}</div>
       </div>
     `).join('');
   }
@@ -483,18 +632,35 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   // Event listeners
-  exportBtn.addEventListener('click', exportPlan);
+  exportBtn.addEventListener('click', () => exportPlan());
+  exportAllListsBtn.addEventListener('click', () => exportPlan(true));
   addTaskBtn.addEventListener('click', addTask);
   refreshBucketsBtn.addEventListener('click', loadBuckets);
+  saveScheduleBtn.addEventListener('click', saveSchedule);
+  runScheduleBtn.addEventListener('click', runScheduleNow);
   viewResultsBtn.addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('results.html') });
   });
 
+  // Open a past export from its stored snapshot
+  historyList.addEventListener('click', (e) => {
+    const item = e.target.closest('.history-item');
+    if (!item?.dataset.snapshotId) return;
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`results.html?snapshot=${encodeURIComponent(item.dataset.snapshotId)}`)
+    });
+  });
+
   // Import CSV button
   document.getElementById('btn-import-csv').addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('import.html') });
   });
 
+  // Bulk export button
+  bulkExportBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('bulk.html') });
+  });
+
   taskTitleInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
       addTask();
@@ -505,5 +671,6 @@ document.addEventListener('DOMContentLoaded', async () => {
   await checkExtractionState();
   await fetchContext();
   await loadBuckets();
+  await loadSchedule();
   await loadHistory();
 });
@@ -8,6 +8,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Elements
   const planNameEl = document.getElementById('plan-name');
   const exportDateEl = document.getElementById('export-date');
+  const partialWarningEl = document.getElementById('partial-warning');
+  const exportWarningEl = document.getElementById('export-warning');
   const totalTasksEl = document.getElementById('total-tasks');
   const completedTasksEl = document.getElementById('completed-tasks');
   const inProgressTasksEl = document.getElementById('in-progress-tasks');
@@ -21,19 +23,64 @@ document.addEventListener('DOMContentLoaded', async () => {
   const btnExportJson = document.getElementById('btn-export-json');
   const btnExportCsv = document.getElementById('btn-export-csv');
   const btnExportText = document.getElementById('btn-export-text');
+  const btnExportMarkdown = document.getElementById('btn-export-markdown');
+  const btnExportMspdi = document.getElementById('btn-export-mspdi');
+  const btnExportXlsx = document.getElementById('btn-export-xlsx');
+  const btnExportReport = document.getElementById('btn-export-report');
+  const icsFormatEl = document.getElementById('ics-format');
+  const btnExportIcs = document.getElementById('btn-export-ics');
+  const importCsvFormatEl = document.getElementById('import-csv-format');
+  const btnExportImportCsv = document.getElementById('btn-export-import-csv');
+  const btnCopyTo = document.getElementById('btn-copy-to');
   const btnViewList = document.getElementById('btn-view-list');
   const btnViewHierarchy = document.getElementById('btn-view-hierarchy');
+  const btnViewGantt = document.getElementById('btn-view-gantt');
   const tasksHierarchyEl = document.getElementById('tasks-hierarchy');
+  const tasksGanttEl = document.getElementById('tasks-gantt');
+  const compareFromEl = document.getElementById('compare-from');
+  const compareToEl = document.getElementById('compare-to');
+  const btnCompare = document.getElementById('btn-compare');
+  const btnExportDiffCsv = document.getElementById('btn-export-diff-csv');
+  const btnExportDiffJson = document.getElementById('btn-export-diff-json');
+  const diffSummaryEl = document.getElementById('diff-summary');
+  const diffResultsEl = document.getElementById('diff-results');
 
   // State
   let exportData = null;
   let filteredTasks = [];
-  let currentView = 'list'; // 'list' or 'hierarchy'
-
-  // Load data from storage
+  let currentView = 'list'; // 'list', 'hierarchy' or 'gantt'
+  let snapshotList = []; // Stored snapshots of this plan, newest first
+  let diffResult = null;
+
+  // Change types shown in the snapshot diff, in display order
+  const DIFF_CHANGE_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    completed: 'Completed',
+    rebucketed: 'Re-bucketed',
+    reassigned: 'Reassigned',
+    reprioritized: 'Re-prioritized',
+    redated: 'Re-dated'
+  };
+
+  // Column layouts of the import page templates (import.js) per destination
+  const IMPORT_CSV_COLUMNS = {
+    planner: ['OutlineNumber', 'Title', 'Bucket', 'Priority', 'StartDate', 'DueDate', 'AssignedTo', 'Description', 'ChecklistItems', 'Predecessors'],
+    plannerbasic: ['Title', 'Bucket', 'Priority', 'DueDate', 'AssignedTo', 'Description', 'ChecklistItems'],
+    todo: ['Title', 'Priority', 'DueDate', 'Description', 'ChecklistItems']
+  };
+
+  // Load data from storage (a stored snapshot when opened from the popup history)
   async function loadData() {
-    const result = await chrome.storage.local.get('plannerExportData');
-    exportData = result.plannerExportData;
+    const snapshotId = new URLSearchParams(window.location.search).get('snapshot');
+    if (snapshotId) {
+      const snapshotKey = `plannerExportSnapshot:${snapshotId}`;
+      const result = await chrome.storage.local.get(snapshotKey);
+      exportData = result[snapshotKey];
+    } else {
+      const result = await chrome.storage.local.get('plannerExportData');
+      exportData = result.plannerExportData;
+    }
 
     if (!exportData) {
       tasksListEl.innerHTML = '<p class="empty-state">No export data found. Please export a plan first.</p>';
@@ -41,15 +88,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     renderData();
+    await loadSnapshots(snapshotId);
   }
 
   // Get bucket name for a task (handles both API and DOM data)
-  function getBucketName(task) {
+  function getBucketName(task, data = exportData) {
     // DOM-scraped data has bucketName directly
     if (task.bucketName) return task.bucketName;
     // API data has bucketId that maps to bucketMap
-    if (task.bucketId && exportData.bucketMap) {
-      return exportData.bucketMap[task.bucketId] || 'Unknown Bucket';
+    if (task.bucketId && data.bucketMap) {
+      return data.bucketMap[task.bucketId] || 'Unknown Bucket';
     }
     return 'No Bucket';
   }
@@ -74,6 +122,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     planNameEl.textContent = (exportData.planName || exportData.plan?.title || 'Unknown Plan') + planTypeLabel;
     exportDateEl.textContent = `Exported: ${formatDate(exportData.exportedAt)}${sourceLabel}`;
 
+    // Paging aborted or a list failed - tasks are missing from this export
+    if (exportData.partial) {
+      const reasons = (exportData.partialReasons || []).map(r => `<li>${escapeHtml(r)}</li>`).join('');
+      partialWarningEl.innerHTML = `<strong>Partial export:</strong> some tasks could not be read, so counts and diffs may be incomplete.${reasons ? `<ul>${reasons}</ul>` : ''}`;
+      partialWarningEl.classList.remove('hidden');
+    }
+
+    // Default the import-compatible CSV to the same kind of destination
+    if (exportData.serviceType === 'todo' || exportData.planType === 'todo') {
+      importCsvFormatEl.value = 'todo';
+    } else if (exportData.planType === 'premium') {
+      importCsvFormatEl.value = 'planner';
+    } else {
+      importCsvFormatEl.value = 'plannerbasic';
+    }
+
     // Stats
     const tasks = exportData.tasks || [];
     const completed = tasks.filter(t => getPercentComplete(t) === 100).length;
@@ -179,9 +243,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     filteredCountEl.textContent = `(${tasks.length})`;
     renderTasks(tasks);
 
-    // Also render hierarchy if that view is active
+    // Also render hierarchy or timeline if that view is active
     if (currentView === 'hierarchy') {
       renderHierarchy(tasks);
+    } else if (currentView === 'gantt') {
+      renderGantt(tasks);
     }
   }
 
@@ -347,51 +413,89 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Export to CSV
   function exportToCsv() {
-    const tasks = exportData.tasks || [];
-    const headers = [
-      'ID',
-      'Title',
-      'Bucket',
-      'Status',
-      'Priority',
-      'Start Date',
-      'Due Date',
-      'Duration',
-      'Percent Complete',
-      'Assigned To',
-      'Description'
-    ];
+    const { csv, dropped } = ExportCsv.build(exportData);
+    downloadFile(csv, `planner-export-${getFilename()}.csv`, 'text/csv');
+    warnDroppedPredecessors(dropped);
+  }
+
+  // Export CSV that the import page accepts as-is for the selected destination
+  function exportToImportCsv() {
+    const format = importCsvFormatEl.value;
+    const columns = IMPORT_CSV_COLUMNS[format];
+
+    // Walk the hierarchy so outline numbers and row order match the plan
+    const rows = [];
+    const walk = (nodes, parentOutline) => {
+      nodes.forEach((node, index) => {
+        const outlineNumber = node.outlineNumber || (parentOutline ? `${parentOutline}.${index + 1}` : String(index + 1));
+        rows.push({ task: node, outlineNumber });
+        walk(node.children, outlineNumber);
+      });
+    };
+    walk(buildHierarchyTree(exportData.tasks || []), '');
+
+    const outlineById = new Map(rows.map(({ task, outlineNumber }) => [task.id, outlineNumber]));
+    const outlines = new Set(outlineById.values());
+    const resolvePredecessor = (p) => outlineById.get(p.taskId) || (outlines.has(p.outlineNumber) ? p.outlineNumber : undefined);
+    const dropped = [];
 
-    const rows = tasks.map(task => {
+    const lines = rows.map(({ task, outlineNumber }) => {
       const details = exportData.detailsMap?.[task.id];
+      const checklistItems = details?.checklist
+        ? Object.values(details.checklist)
+        : (task.checklist || []);
       const bucketName = getBucketName(task);
-      const description = details?.description || task.description || '';
 
-      // Handle assigned to
-      let assignedTo = '';
-      if (task.assignedTo && Array.isArray(task.assignedTo)) {
-        assignedTo = task.assignedTo.join('; ');
-      } else if (task.assignments) {
-        assignedTo = `${Object.keys(task.assignments).length} person(s)`;
-      }
-
-      return [
-        task.id,
-        csvEscape(task.title),
-        csvEscape(bucketName),
-        getStatusLabel(getTaskStatus(task)),
-        getPriorityLabel(task.priority),
-        task.startDateTime || '',
-        task.dueDateTime || '',
-        task.duration || '',
-        getPercentComplete(task),
-        csvEscape(assignedTo),
-        csvEscape(description)
-      ];
+      // Premium exports carry emails; Basic exports carry Graph user IDs, which the Basic importer also resolves
+      const assignees = task.assignedToEmails ||
+        (task.assignments && !Array.isArray(task.assignments) ? Object.keys(task.assignments) : []);
+
+      const values = {
+        OutlineNumber: outlineNumber,
+        Title: task.title,
+        Bucket: bucketName === 'No Bucket' || bucketName === 'Unknown Bucket' ? '' : bucketName,
+        Priority: getImportPriorityLabel(task.priority, format),
+        StartDate: formatImportDate(task.startDateTime),
+        DueDate: formatImportDate(task.dueDateTime),
+        AssignedTo: assignees.join(';'),
+        Description: details?.description || task.description || '',
+        // Items are semicolon-separated on import, so semicolons inside an item become commas
+        ChecklistItems: checklistItems.map(c => (c.title || '').replace(/;/g, ',')).filter(Boolean).join(';'),
+        Predecessors: ExportCsv.formatPredecessors(task, resolvePredecessor, dropped)
+      };
+
+      return columns.map(column => csvEscape(values[column])).join(',');
     });
 
-    const csv = [headers, ...rows].map(row => row.join(',')).join('\n');
-    downloadFile(csv, `planner-export-${getFilename()}.csv`, 'text/csv');
+    const csv = [columns.join(','), ...lines].join('\n');
+    downloadFile(csv, `planner-import-${format}-${getFilename()}.csv`, 'text/csv');
+    if (columns.includes('Predecessors')) {
+      warnDroppedPredecessors(dropped);
+    }
+  }
+
+  // Priority names understood by the import page
+  function getImportPriorityLabel(priority, format) {
+    const value = typeof priority === 'number' ? priority : 5;
+    if (format === 'todo') {
+      if (value <= 4) return 'High';
+      if (value >= 8) return 'Low';
+      return 'Normal';
+    }
+    if (value <= 1) return 'Urgent';
+    if (value <= 4) return 'Important';
+    if (value <= 7) return 'Medium';
+    return 'Low';
+  }
+
+  // YYYY-MM-DD, the date format of the import templates
+  function formatImportDate(value) {
+    if (!value) return '';
+    const iso = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    if (iso) return iso[1];
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
   }
 
   // Export to Text
@@ -472,6 +576,854 @@ document.addEventListener('DOMContentLoaded', async () => {
     downloadFile(text, `planner-export-${getFilename()}.txt`, 'text/plain');
   }
 
+  // Export to Markdown (task lists that paste into wikis, GitHub and Obsidian)
+  function exportToMarkdown() {
+    const plan = exportData.plan || {};
+    const planTitle = plan.title || exportData.planName || 'Unknown';
+    const isToDoData = exportData.serviceType === 'todo' || exportData.planType === 'todo';
+
+    let serviceType;
+    if (isToDoData) {
+      serviceType = 'todo';
+    } else if (exportData.planType === 'premium') {
+      serviceType = 'planner-premium';
+    } else {
+      serviceType = 'planner-basic';
+    }
+
+    // Front matter values are JSON-quoted, which is valid YAML
+    let md = '---\n';
+    md += `plan: ${JSON.stringify(planTitle)}\n`;
+    md += `serviceType: ${serviceType}\n`;
+    md += `source: ${JSON.stringify(exportData.source || 'api')}\n`;
+    md += `exportedAt: ${JSON.stringify(exportData.exportedAt || '')}\n`;
+    md += '---\n\n';
+    md += `# ${markdownEscape(planTitle)}\n`;
+
+    // Root tasks are grouped by bucket; subtasks stay nested under their parent
+    const bucketGroups = new Map();
+    buildHierarchyTree(exportData.tasks || []).forEach(node => {
+      const bucketName = getBucketName(node);
+      if (!bucketGroups.has(bucketName)) {
+        bucketGroups.set(bucketName, []);
+      }
+      bucketGroups.get(bucketName).push(node);
+    });
+
+    const renderNode = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      const details = exportData.detailsMap?.[node.id];
+      const description = details?.description || node.description || '';
+      const checklistItems = details?.checklist
+        ? Object.values(details.checklist)
+        : (node.checklist || []);
+
+      // Inline tokens use the same syntax as the Markdown importer
+      const tokens = [];
+      const priority = getPriorityLabel(node.priority).toLowerCase();
+      if (priority !== 'medium') tokens.push(`!${priority}`);
+      if (node.startDateTime) tokens.push(`start:${formatImportDate(node.startDateTime)}`);
+      if (node.dueDateTime) tokens.push(`due:${formatImportDate(node.dueDateTime)}`);
+      (node.assignedToEmails || []).forEach(email => tokens.push(`@${email}`));
+
+      const done = getTaskStatus(node) === 'completed';
+      let text = `${indent}- [${done ? 'x' : ' '}] ${markdownEscape(node.title)}`;
+      if (tokens.length > 0) text += ` ${tokens.join(' ')}`;
+      text += '\n';
+
+      // Notes and checklist items share the task's quoted body, so nested bullets are only ever
+      // subtasks; a notes line that reads like a checklist item has its marker escaped
+      if (description) {
+        description.split(/\r?\n/).forEach(line => {
+          text += `${indent}  > ${line.replace(/^([-*+]\s+\[[ xX]\])/, '\\$1')}\n`;
+        });
+      }
+
+      checklistItems.forEach(item => {
+        text += `${indent}  > - [${item.isChecked ? 'x' : ' '}] ${markdownEscape(item.title)}\n`;
+      });
+
+      node.children.forEach(child => {
+        text += renderNode(child, depth + 1);
+      });
+
+      return text;
+    };
+
+    for (const [bucketName, nodes] of bucketGroups) {
+      md += `\n## ${markdownEscape(bucketName)}\n\n`;
+      nodes.forEach(node => {
+        md += renderNode(node, 0);
+      });
+    }
+
+    downloadFile(md, `planner-export-${getFilename()}.md`, 'text/markdown');
+  }
+
+  // Escape characters that Markdown would otherwise treat as formatting
+  function markdownEscape(value) {
+    return String(value || '')
+      .replace(/[\\`*_[\]<>|]/g, '\\$&')
+      .replace(/^([#>+-])/, '\\$1')
+      .replace(/\r?\n/g, ' ');
+  }
+
+  // Export a self-contained HTML status report (embedded CSS, no scripts, prints cleanly)
+  function exportToHtmlReport() {
+    const plan = exportData.plan || {};
+    const planTitle = plan.title || exportData.planName || 'Unknown Plan';
+    const tasks = exportData.tasks || [];
+    const isToDoData = exportData.serviceType === 'todo' || exportData.planType === 'todo';
+    const groupLabel = isToDoData ? 'List' : 'Bucket';
+
+    const completed = tasks.filter(t => getTaskStatus(t) === 'completed').length;
+    const inProgress = tasks.filter(t => getTaskStatus(t) === 'in-progress').length;
+    const notStarted = tasks.length - completed - inProgress;
+    const overallPct = tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0;
+
+    // Due dates are compared as YYYY-MM-DD keys so time zones don't shift them
+    const today = new Date();
+    const todayKey = formatImportDate(today);
+    const weekEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7);
+    const weekEndKey = formatImportDate(weekEnd);
+    const open = tasks.filter(t => getTaskStatus(t) !== 'completed' && t.dueDateTime);
+    const byDue = (a, b) => formatImportDate(a.dueDateTime).localeCompare(formatImportDate(b.dueDateTime));
+    const overdue = open.filter(t => formatImportDate(t.dueDateTime) < todayKey).sort(byDue);
+    const dueThisWeek = open.filter(t => {
+      const key = formatImportDate(t.dueDateTime);
+      return key >= todayKey && key <= weekEndKey;
+    }).sort(byDue);
+
+    const getAssigned = (task) => {
+      if (task.assignedTo && task.assignedTo.length > 0) return task.assignedTo.join(', ');
+      if (task.assignments && Object.keys(task.assignments).length > 0) {
+        return `${Object.keys(task.assignments).length} person(s)`;
+      }
+      return '';
+    };
+
+    // Per-bucket progress, in bucket order with any task-only buckets appended
+    const bucketNames = (exportData.buckets || []).map(b => b.name);
+    tasks.forEach(t => {
+      const name = getBucketName(t);
+      if (!bucketNames.includes(name)) bucketNames.push(name);
+    });
+    const bucketRows = bucketNames.map(name => {
+      const bucketTasks = tasks.filter(t => getBucketName(t) === name);
+      const done = bucketTasks.filter(t => getTaskStatus(t) === 'completed').length;
+      const pct = bucketTasks.length > 0 ? Math.round((done / bucketTasks.length) * 100) : 0;
+      return `
+        <div class="bucket-row">
+          <div class="bucket-label">${escapeHtml(name)}</div>
+          <div class="progress"><div class="progress-fill" style="width: ${pct}%;"></div></div>
+          <div class="bucket-count">${done}/${bucketTasks.length} (${pct}%)</div>
+        </div>`;
+    }).join('');
+
+    const renderTaskTable = (list, emptyText) => {
+      if (list.length === 0) return `<p class="empty">${emptyText}</p>`;
+      return `
+        <table>
+          <thead><tr><th>Task</th><th>${groupLabel}</th><th>Due</th><th>Assigned</th><th>Status</th></tr></thead>
+          <tbody>${list.map(task => `
+            <tr>
+              <td>${escapeHtml(task.title)}</td>
+              <td>${escapeHtml(getBucketName(task))}</td>
+              <td>${escapeHtml(formatDateSafe(task.dueDateTime))}</td>
+              <td>${escapeHtml(getAssigned(task))}</td>
+              <td><span class="status ${getTaskStatus(task)}">${getStatusLabel(getTaskStatus(task))}${getPercentComplete(task) > 0 ? ` ${getPercentComplete(task)}%` : ''}</span></td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+    };
+
+    const renderNode = (node) => {
+      const status = getTaskStatus(node);
+      const dueKey = formatImportDate(node.dueDateTime);
+      const isOverdue = status !== 'completed' && dueKey && dueKey < todayKey;
+      const assigned = getAssigned(node);
+      let html = `
+        <li>
+          <div class="tree-row">
+            ${node.outlineNumber ? `<span class="outline">${escapeHtml(node.outlineNumber)}</span>` : ''}
+            <span class="tree-title${node.children.length > 0 ? ' bold' : ''}">${escapeHtml(node.title)}</span>
+            <span class="status ${status}">${getStatusLabel(status)}</span>
+            ${node.dueDateTime ? `<span class="tree-date${isOverdue ? ' overdue' : ''}">${escapeHtml(formatDateSafe(node.dueDateTime))}</span>` : ''}
+            ${assigned ? `<span class="tree-assigned">${escapeHtml(assigned)}</span>` : ''}
+          </div>`;
+      if (node.children.length > 0) {
+        html += `<ul>${node.children.map(renderNode).join('')}</ul>`;
+      }
+      return html + '</li>';
+    };
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(planTitle)} - Status Report</title>
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; color: #323130; background: #f3f2f1; line-height: 1.5; }
+  .container { max-width: 1000px; margin: 0 auto; padding: 24px; }
+  header { background: #0078d4; color: #fff; padding: 24px; border-radius: 8px; margin-bottom: 20px; }
+  header h1 { font-size: 24px; font-weight: 600; margin-bottom: 4px; }
+  header p { opacity: 0.9; }
+  section { background: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+  h2 { font-size: 16px; font-weight: 600; margin-bottom: 16px; }
+  .stats { display: grid; grid-template-columns: repeat(5, 1fr); gap: 12px; }
+  .stat { text-align: center; padding: 12px; border: 1px solid #edebe9; border-radius: 8px; }
+  .stat-value { font-size: 28px; font-weight: 700; color: #0078d4; }
+  .stat-value.overdue { color: #d13438; }
+  .stat-label { font-size: 11px; color: #605e5c; text-transform: uppercase; letter-spacing: 0.5px; }
+  .bucket-row { display: flex; align-items: center; gap: 12px; margin-bottom: 8px; }
+  .bucket-label { flex: 0 0 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .progress { flex: 1; height: 12px; background: #edebe9; border-radius: 6px; overflow: hidden; }
+  .progress-fill { height: 100%; background: #107c10; }
+  .bucket-count { flex: 0 0 90px; text-align: right; font-size: 12px; color: #605e5c; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #edebe9; vertical-align: top; }
+  th { background: #faf9f8; color: #605e5c; font-weight: 600; }
+  .status { display: inline-block; padding: 1px 6px; border-radius: 4px; font-size: 10px; font-weight: 500; text-transform: uppercase; white-space: nowrap; }
+  .status.not-started { background: #f3f2f1; color: #605e5c; }
+  .status.in-progress { background: #fff4ce; color: #797673; }
+  .status.completed { background: #dff6dd; color: #107c10; }
+  .empty { color: #a19f9d; }
+  .tree, .tree ul { list-style: none; }
+  .tree ul { margin-left: 24px; }
+  .tree-row { display: flex; align-items: center; gap: 8px; padding: 4px 0; border-bottom: 1px solid #f3f2f1; }
+  .outline { color: #0078d4; min-width: 40px; font-family: Consolas, Monaco, monospace; font-size: 12px; }
+  .tree-title { flex: 1; }
+  .tree-title.bold { font-weight: 600; }
+  .tree-date, .tree-assigned { font-size: 11px; color: #605e5c; }
+  .tree-date.overdue { color: #d13438; font-weight: 600; }
+  footer { text-align: center; font-size: 11px; color: #a19f9d; }
+  @media print {
+    body { background: #fff; font-size: 12px; }
+    .container { max-width: none; padding: 0; }
+    header, .progress-fill, .status { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    section { box-shadow: none; border: 1px solid #edebe9; break-inside: avoid; }
+    .tree-section { break-inside: auto; }
+    tr, .tree-row { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<div class="container">
+  <header>
+    <h1>${escapeHtml(planTitle)}</h1>
+    <p>${isToDoData ? 'Microsoft To Do' : exportData.planType === 'premium' ? 'Planner Premium' : 'Planner Basic'} &middot; Exported ${escapeHtml(formatDate(exportData.exportedAt))} &middot; Report generated ${escapeHtml(formatDate(today.toISOString()))}</p>
+  </header>
+
+  <section>
+    <div class="stats">
+      <div class="stat"><div class="stat-value">${tasks.length}</div><div class="stat-label">Total Tasks</div></div>
+      <div class="stat"><div class="stat-value">${completed}</div><div class="stat-label">Completed (${overallPct}%)</div></div>
+      <div class="stat"><div class="stat-value">${inProgress}</div><div class="stat-label">In Progress</div></div>
+      <div class="stat"><div class="stat-value">${notStarted}</div><div class="stat-label">Not Started</div></div>
+      <div class="stat"><div class="stat-value overdue">${overdue.length}</div><div class="stat-label">Overdue</div></div>
+    </div>
+  </section>
+
+  <section>
+    <h2>Progress by ${groupLabel}</h2>
+    ${bucketRows || '<p class="empty">No tasks</p>'}
+  </section>
+
+  <section>
+    <h2>Overdue (${overdue.length})</h2>
+    ${renderTaskTable(overdue, 'Nothing overdue.')}
+  </section>
+
+  <section>
+    <h2>Due This Week (${dueThisWeek.length})</h2>
+    ${renderTaskTable(dueThisWeek, 'Nothing due in the next 7 days.')}
+  </section>
+
+  <section class="tree-section">
+    <h2>All Tasks</h2>
+    ${tasks.length > 0 ? `<ul class="tree">${buildHierarchyTree(tasks).map(renderNode).join('')}</ul>` : '<p class="empty">No tasks</p>'}
+  </section>
+
+  <footer>Generated by Planner Exporter</footer>
+</div>
+</body>
+</html>
+`;
+
+    downloadFile(html, `planner-report-${getFilename()}.html`, 'text/html');
+  }
+
+  // Export to iCalendar: one VTODO per task, or all-day VEVENTs on the due dates
+  function exportToIcs() {
+    const plan = exportData.plan || {};
+    const planTitle = plan.title || exportData.planName || 'Planner Export';
+    const asEvents = icsFormatEl.value === 'vevent';
+    const stamp = formatIcsDateTime(new Date().toISOString());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Planner Exporter//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsEscape(planTitle)}`
+    ];
+
+    for (const task of exportData.tasks || []) {
+      const details = exportData.detailsMap?.[task.id];
+      const checklistItems = details?.checklist
+        ? Object.values(details.checklist)
+        : (task.checklist || []);
+      const status = getTaskStatus(task);
+      const dueDate = formatImportDate(task.dueDateTime).replace(/-/g, '');
+      let startDate = formatImportDate(task.startDateTime).replace(/-/g, '');
+      if (startDate && dueDate && startDate > dueDate) startDate = '';
+
+      // Events need a date to sit on; undated tasks are only exported as VTODOs
+      if (asEvents && !dueDate && !startDate) {
+        continue;
+      }
+
+      let description = details?.description || task.description || '';
+      if (checklistItems.length > 0) {
+        description += (description ? '\n\n' : '') + checklistItems
+          .map(item => `[${item.isChecked ? 'x' : ' '}] ${item.title}`)
+          .join('\n');
+      }
+
+      const component = asEvents ? 'VEVENT' : 'VTODO';
+      lines.push(`BEGIN:${component}`);
+      lines.push(`UID:${task.id}@planner-exporter`);
+      lines.push(`DTSTAMP:${stamp}`);
+      lines.push(`SUMMARY:${icsEscape(task.title)}`);
+      if (description) lines.push(`DESCRIPTION:${icsEscape(description)}`);
+      lines.push(`CATEGORIES:${icsEscape(getBucketName(task))}`);
+      if (typeof task.priority === 'number' && task.priority >= 1 && task.priority <= 9) {
+        lines.push(`PRIORITY:${task.priority}`);
+      }
+
+      if (asEvents) {
+        // All-day events end on the day after the last day (DTEND is exclusive)
+        lines.push(`DTSTART;VALUE=DATE:${startDate || dueDate}`);
+        lines.push(`DTEND;VALUE=DATE:${addIcsDay(dueDate || startDate)}`);
+        lines.push('TRANSP:TRANSPARENT');
+      } else {
+        if (startDate) lines.push(`DTSTART;VALUE=DATE:${startDate}`);
+        if (dueDate) lines.push(`DUE;VALUE=DATE:${dueDate}`);
+        lines.push(`STATUS:${{ 'completed': 'COMPLETED', 'in-progress': 'IN-PROCESS' }[status] || 'NEEDS-ACTION'}`);
+        lines.push(`PERCENT-COMPLETE:${getPercentComplete(task)}`);
+        if (status === 'completed' && task.completedDateTime) {
+          lines.push(`COMPLETED:${formatIcsDateTime(task.completedDateTime)}`);
+        }
+      }
+
+      // To Do reminders become a display alarm at the reminder time
+      const reminder = task.reminderDateTime?.DateTime || task.reminderDateTime?.dateTime || task.reminderDateTime;
+      if (task.isReminderOn && reminder && status !== 'completed') {
+        const trigger = formatIcsDateTime(reminder);
+        if (trigger) {
+          lines.push('BEGIN:VALARM');
+          lines.push('ACTION:DISPLAY');
+          lines.push(`DESCRIPTION:${icsEscape(task.title)}`);
+          lines.push(`TRIGGER;VALUE=DATE-TIME:${trigger}`);
+          lines.push('END:VALARM');
+        }
+      }
+
+      lines.push(`END:${component}`);
+    }
+
+    lines.push('END:VCALENDAR');
+
+    const ics = lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    downloadFile(ics, `planner-export-${getFilename()}.ics`, 'text/calendar');
+  }
+
+  // Escape TEXT values (RFC 5545 section 3.3.11)
+  function icsEscape(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // UTC date-time such as 20250301T090000Z; values without an offset are UTC (Substrate sends them that way)
+  function formatIcsDateTime(value) {
+    let str = String(value);
+    if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(str)) str += 'Z';
+    const date = new Date(str);
+    if (isNaN(date.getTime())) return '';
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  }
+
+  // YYYYMMDD of the following day
+  function addIcsDay(dateValue) {
+    const date = new Date(Date.UTC(+dateValue.slice(0, 4), +dateValue.slice(4, 6) - 1, +dateValue.slice(6, 8) + 1));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  // Fold lines longer than 75 octets, never splitting a UTF-8 sequence
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+      const charSize = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts toward the limit
+      if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  // Export to Microsoft Project XML (MSPDI)
+  function exportToMspdi() {
+    const plan = exportData.plan || {};
+    const planTitle = plan.title || exportData.planName || 'Planner Export';
+    const MINUTES_PER_DAY = 480;
+
+    // Walk the hierarchy so tasks are written in outline order
+    const rows = [];
+    const walk = (nodes, parentOutline, depth) => {
+      nodes.forEach((node, index) => {
+        const outlineNumber = node.outlineNumber || (parentOutline ? `${parentOutline}.${index + 1}` : String(index + 1));
+        rows.push({ task: node, outlineNumber, depth, hasChildren: node.children.length > 0 });
+        walk(node.children, outlineNumber, depth + 1);
+      });
+    };
+    walk(buildHierarchyTree(exportData.tasks || []), '', 1);
+
+    const uidByTaskId = new Map();
+    rows.forEach((row, index) => uidByTaskId.set(row.task.id, index + 1));
+
+    // Collect resources from the plan and from task assignments
+    const resourceUids = new Map();
+    const resources = [];
+    const addResource = (id, name, email) => {
+      if (!id || resourceUids.has(id)) return resourceUids.get(id);
+      const uid = resources.length + 1;
+      resourceUids.set(id, uid);
+      resources.push({ uid, name: name || id, email: email || '' });
+      return uid;
+    };
+    (exportData.resources || []).forEach(r => addResource(r.id, r.name, r.userPrincipalName));
+
+    const assignments = [];
+    rows.forEach(({ task }) => {
+      let taskAssignments = [];
+      if (Array.isArray(task.assignments)) {
+        taskAssignments = task.assignments.map(a => ({
+          id: a.resourceId,
+          name: a.resourceName,
+          email: a.email,
+          percentWorkComplete: a.percentWorkComplete || 0
+        }));
+      } else if (task.assignments) {
+        taskAssignments = Object.keys(task.assignments).map(id => ({ id, name: id, percentWorkComplete: 0 }));
+      }
+      taskAssignments.forEach(a => {
+        const resourceUid = addResource(a.id, a.name, a.email);
+        if (!resourceUid) return;
+        assignments.push({
+          uid: assignments.length + 1,
+          taskUid: uidByTaskId.get(task.id),
+          resourceUid,
+          percentWorkComplete: a.percentWorkComplete
+        });
+      });
+    });
+
+    // Project dates span all task dates
+    const dates = rows.flatMap(({ task }) => [task.startDateTime, task.dueDateTime])
+      .map(d => (d ? new Date(d) : null))
+      .filter(d => d && !isNaN(d.getTime()));
+    const projectStart = dates.length ? new Date(Math.min(...dates)) : new Date();
+    const projectFinish = dates.length ? new Date(Math.max(...dates)) : new Date();
+
+    const taskXml = rows.map(({ task, outlineNumber, depth, hasChildren }) => {
+      const uid = uidByTaskId.get(task.id);
+      const details = exportData.detailsMap?.[task.id];
+      const description = details?.description || task.description || '';
+      const start = task.startDateTime ? new Date(task.startDateTime) : null;
+      const finish = task.dueDateTime ? new Date(task.dueDateTime) : null;
+      const isMilestone = !!task.isMilestone;
+      const isSummary = hasChildren || !!task.isSummaryTask;
+
+      // Prefer the scheduled duration from PSS (seconds), else derive from dates
+      let durationMinutes = 0;
+      if (task.raw?.scheduledDuration) {
+        durationMinutes = Math.round(task.raw.scheduledDuration / 60);
+      } else if (start && finish && !isNaN(start) && !isNaN(finish)) {
+        const days = Math.max(Math.round((finish - start) / (24 * 60 * 60 * 1000)), 1);
+        durationMinutes = days * MINUTES_PER_DAY;
+      } else if (!isMilestone) {
+        durationMinutes = MINUTES_PER_DAY;
+      }
+      if (isMilestone) durationMinutes = 0;
+
+      const predecessorXml = (task.predecessors || [])
+        .filter(p => uidByTaskId.has(p.taskId))
+        .map(p => `
+      <PredecessorLink>
+        <PredecessorUID>${uidByTaskId.get(p.taskId)}</PredecessorUID>
+        <Type>${mapLinkTypeToMspdi(p.type)}</Type>
+        <LinkLag>${Math.round((p.lagDays || 0) * MINUTES_PER_DAY * 10)}</LinkLag>
+        <LagFormat>7</LagFormat>
+      </PredecessorLink>`).join('');
+
+      return `
+    <Task>
+      <UID>${uid}</UID>
+      <ID>${uid}</ID>
+      <Name>${xmlEscape(task.title)}</Name>
+      <IsNull>0</IsNull>
+      <WBS>${xmlEscape(outlineNumber)}</WBS>
+      <OutlineNumber>${xmlEscape(outlineNumber)}</OutlineNumber>
+      <OutlineLevel>${task.outlineLevel || depth}</OutlineLevel>
+      <Priority>${mapPriorityToMspdi(task.priority)}</Priority>${start && !isNaN(start) ? `
+      <Start>${formatMspdiDate(start)}</Start>` : ''}${finish && !isNaN(finish) ? `
+      <Finish>${formatMspdiDate(finish)}</Finish>` : ''}
+      <Duration>${formatMspdiDuration(durationMinutes)}</Duration>
+      <DurationFormat>7</DurationFormat>
+      <Milestone>${isMilestone ? 1 : 0}</Milestone>
+      <Summary>${isSummary ? 1 : 0}</Summary>
+      <Critical>${task.isCritical ? 1 : 0}</Critical>
+      <PercentComplete>${getPercentComplete(task)}</PercentComplete>${description ? `
+      <Notes>${xmlEscape(description)}</Notes>` : ''}${predecessorXml}
+    </Task>`;
+    }).join('');
+
+    const resourceXml = resources.map(r => `
+    <Resource>
+      <UID>${r.uid}</UID>
+      <ID>${r.uid}</ID>
+      <Name>${xmlEscape(r.name)}</Name>
+      <Type>1</Type>
+      <IsNull>0</IsNull>${r.email ? `
+      <EmailAddress>${xmlEscape(r.email)}</EmailAddress>` : ''}
+    </Resource>`).join('');
+
+    const assignmentXml = assignments.map(a => `
+    <Assignment>
+      <UID>${a.uid}</UID>
+      <TaskUID>${a.taskUid}</TaskUID>
+      <ResourceUID>${a.resourceUid}</ResourceUID>
+      <PercentWorkComplete>${a.percentWorkComplete}</PercentWorkComplete>
+      <Units>1</Units>
+    </Assignment>`).join('');
+
+    const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Project xmlns="http://schemas.microsoft.com/project">
+  <SaveVersion>14</SaveVersion>
+  <Name>${xmlEscape(planTitle)}.xml</Name>
+  <Title>${xmlEscape(planTitle)}</Title>
+  <CreationDate>${formatMspdiDate(new Date())}</CreationDate>
+  <ScheduleFromStart>1</ScheduleFromStart>
+  <StartDate>${formatMspdiDate(projectStart)}</StartDate>
+  <FinishDate>${formatMspdiDate(projectFinish)}</FinishDate>
+  <MinutesPerDay>${MINUTES_PER_DAY}</MinutesPerDay>
+  <MinutesPerWeek>${MINUTES_PER_DAY * 5}</MinutesPerWeek>
+  <DaysPerMonth>20</DaysPerMonth>
+  <Tasks>${taskXml}
+  </Tasks>
+  <Resources>${resourceXml}
+  </Resources>
+  <Assignments>${assignmentXml}
+  </Assignments>
+</Project>
+`;
+
+    downloadFile(xml, `planner-export-${getFilename()}.xml`, 'application/xml');
+  }
+
+  // MSPDI link types: 0 = FF, 1 = FS, 2 = SF, 3 = SS
+  function mapLinkTypeToMspdi(type) {
+    const linkTypes = { FF: 0, FS: 1, SF: 2, SS: 3 };
+    return linkTypes[type] ?? 1;
+  }
+
+  // MSPDI priority ranges from 0 to 1000 (500 = medium)
+  function mapPriorityToMspdi(priority) {
+    switch (priority) {
+      case 1: return 1000;
+      case 3: return 750;
+      case 9: return 250;
+      default: return 500;
+    }
+  }
+
+  // MSPDI dates are local times without a timezone: YYYY-MM-DDTHH:MM:SS
+  function formatMspdiDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  // MSPDI durations use ISO 8601 notation in hours and minutes: PT16H0M0S
+  function formatMspdiDuration(minutes) {
+    return `PT${Math.floor(minutes / 60)}H${minutes % 60}M0S`;
+  }
+
+  // XML escape
+  function xmlEscape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // Strip control characters that are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  // Export to Excel (.xlsx) - workbook is assembled locally, no conversion service
+  function exportToXlsx() {
+    const prepared = prepareExportData();
+    const isToDoData = exportData.serviceType === 'todo' || exportData.planType === 'todo';
+    const tasksById = new Map(prepared.tasks.map(t => [t.id, t]));
+
+    // Walk the hierarchy so rows keep outline order and depth
+    const rows = [];
+    const walk = (nodes, parentOutline, depth) => {
+      nodes.forEach((node, index) => {
+        const outlineNumber = node.outlineNumber || (parentOutline ? `${parentOutline}.${index + 1}` : String(index + 1));
+        rows.push({ task: tasksById.get(node.id), outlineNumber, depth });
+        walk(node.children, outlineNumber, depth + 1);
+      });
+    };
+    walk(buildHierarchyTree(exportData.tasks || []), '', 0);
+
+    const bucketRows = new Map();
+    rows.forEach(row => {
+      const bucket = row.task.bucket;
+      if (!bucketRows.has(bucket)) bucketRows.set(bucket, []);
+      bucketRows.get(bucket).push(row);
+    });
+
+    const usedNames = new Set();
+    const sheets = [];
+
+    sheets.push({
+      name: getXlsxSheetName('Summary', usedNames),
+      columns: [{ header: 'Field', width: 24 }, { header: 'Value', width: 40 }],
+      rows: [
+        [isToDoData ? 'List' : 'Plan', prepared.plan.title || ''],
+        ['Service Type', isToDoData ? 'To Do' : (exportData.planType === 'premium' ? 'Planner Premium' : 'Planner Basic')],
+        ['Exported At', formatDate(prepared.exportedAt)],
+        ['Total Tasks', prepared.summary.totalTasks],
+        ['Completed', prepared.summary.completed],
+        ['In Progress', prepared.summary.inProgress],
+        ['Not Started', prepared.summary.notStarted],
+        [],
+        [{ text: isToDoData ? 'Tasks per List' : 'Tasks per Bucket', bold: true }, ''],
+        ...Array.from(bucketRows, ([bucket, list]) => [bucket, list.length])
+      ]
+    });
+
+    bucketRows.forEach((list, bucket) => {
+      sheets.push({
+        name: getXlsxSheetName(bucket, usedNames),
+        columns: [
+          { header: 'ID', width: 14 },
+          { header: 'Outline', width: 10 },
+          { header: 'Title', width: 48 },
+          { header: 'Status', width: 14 },
+          { header: 'Priority', width: 12 },
+          { header: 'Start Date', width: 12 },
+          { header: 'Due Date', width: 12 },
+          { header: 'Percent Complete', width: 10 },
+          { header: 'Assigned To', width: 30 },
+          { header: 'Description', width: 60 }
+        ],
+        rows: list.map(({ task, outlineNumber, depth }) => [
+          task.id,
+          outlineNumber,
+          { text: task.title, indent: depth },
+          task.status,
+          task.priority,
+          { date: task.startDateTime },
+          { date: task.dueDateTime },
+          task.percentComplete,
+          task.assignedTo.join('; '),
+          task.description || ''
+        ])
+      });
+    });
+
+    const checklistRows = [];
+    rows.forEach(({ task }) => {
+      task.checklist.forEach(item => {
+        checklistRows.push([task.id, task.title, item.title, item.isChecked ? 'Yes' : 'No']);
+      });
+    });
+    sheets.push({
+      name: getXlsxSheetName('Checklist', usedNames),
+      columns: [
+        { header: 'Task ID', width: 14 },
+        { header: 'Task', width: 40 },
+        { header: 'Item', width: 48 },
+        { header: 'Completed', width: 12 }
+      ],
+      rows: checklistRows
+    });
+
+    const workbook = buildXlsx(sheets);
+    downloadFile(workbook, `planner-export-${getFilename()}.xlsx`,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  }
+
+  // Excel sheet names: max 31 characters, no []:*?/\ and unique (case-insensitive)
+  function getXlsxSheetName(name, usedNames) {
+    const base = (String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, 31);
+    let candidate = base;
+    for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  // Cell styles in styles.xml: 0 default, 1 bold, 2 date, 3+ title indented by (index - 2)
+  const XLSX_MAX_INDENT = 8;
+
+  // Build the workbook parts and zip them
+  function buildXlsx(sheets) {
+    const files = [];
+
+    files.push({
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    });
+
+    files.push({
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    });
+
+    files.push({
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets>' +
+        sheets.map((s, i) => `<sheet name="${xmlEscape(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    });
+
+    files.push({
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    });
+
+    const indentXfs = [];
+    for (let level = 1; level <= XLSX_MAX_INDENT; level++) {
+      indentXfs.push(`<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment indent="${level}"/></xf>`);
+    }
+    files.push({
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        `<cellXfs count="${3 + XLSX_MAX_INDENT}">` +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        indentXfs.join('') +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>'
+    });
+
+    sheets.forEach((sheet, i) => {
+      files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildXlsxSheet(sheet) });
+    });
+
+    return ZipWriter.createZip(files);
+  }
+
+  // Worksheet XML with a frozen, bold header row and inline strings
+  function buildXlsxSheet(sheet) {
+    const cellXml = (value, ref) => {
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number') {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'object' && 'date' in value) {
+        const serial = toExcelDate(value.date);
+        return serial === null ? '' : `<c r="${ref}" s="2"><v>${serial}</v></c>`;
+      }
+      let style = 0;
+      let text = value;
+      if (typeof value === 'object') {
+        text = value.text;
+        if (value.bold) style = 1;
+        if (value.indent) style = 2 + Math.min(value.indent, XLSX_MAX_INDENT);
+      }
+      return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+    };
+
+    const headerRow = `<row r="1">${sheet.columns.map((col, c) =>
+      cellXml({ text: col.header, bold: true }, `${getXlsxColumn(c)}1`)).join('')}</row>`;
+    const dataRows = sheet.rows.map((row, r) =>
+      `<row r="${r + 2}">${row.map((value, c) => cellXml(value, `${getXlsxColumn(c)}${r + 2}`)).join('')}</row>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<cols>${sheet.columns.map((col, c) => `<col min="${c + 1}" max="${c + 1}" width="${col.width}" customWidth="1"/>`).join('')}</cols>` +
+      `<sheetData>${headerRow}${dataRows}</sheetData>` +
+      '</worksheet>';
+  }
+
+  // Column index (0-based) to letters: 0 -> A, 26 -> AA
+  function getXlsxColumn(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // Excel date serial (days since 1899-12-30) from the calendar date of an ISO string
+  function toExcelDate(value) {
+    if (!value) return null;
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    return (Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) - Date.UTC(1899, 11, 30)) / 86400000;
+  }
+
   // Prepare export data
   function prepareExportData() {
     const isToDoData = exportData.serviceType === 'todo' || exportData.planType === 'todo';
@@ -500,6 +1452,20 @@ document.addEventListener('DOMContentLoaded', async () => {
           title: c.title,
           isChecked: c.isChecked
         })),
+        predecessors: task.predecessors || [],
+        successors: task.successors || [],
+        // To Do structure: My Day, recurrence, links and attachment metadata
+        ...(isToDoData ? {
+          isInMyDay: task.isInMyDay || false,
+          myDayDate: task.myDayDate || null,
+          recurrence: task.recurrence || null,
+          categories: task.categories || [],
+          isReminderOn: task.isReminderOn || false,
+          reminderDateTime: task.reminderDateTime || null,
+          linkedResources: task.linkedResources || [],
+          hasAttachments: task.hasAttachments || false,
+          attachments: task.attachments || []
+        } : {}),
         source: task.source || 'api'
       };
     });
@@ -517,8 +1483,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       })),
       lists: isToDoData ? (exportData.buckets || []).map(b => ({
         id: b.id,
-        name: b.name
+        name: b.name,
+        isShared: b.isShared || false,
+        isOwner: b.isOwner !== false,
+        groupName: b.groupName || null
       })) : null,
+      listGroups: isToDoData ? (exportData.listGroups || []) : null,
       tasks: tasks,
       exportedAt: exportData.exportedAt,
       source: exportData.source,
@@ -531,11 +1501,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
   }
 
+  // Tell the user which dependencies didn't make it into a CSV
+  function warnDroppedPredecessors(dropped) {
+    if (dropped.length === 0) {
+      exportWarningEl.classList.add('hidden');
+      return;
+    }
+    const tasks = [...new Set(dropped.map(d => d.task))];
+    exportWarningEl.innerHTML = `<strong>${dropped.length} dependenc${dropped.length === 1 ? 'y was' : 'ies were'} left out of the CSV:</strong> the predecessor isn't in this export, so the importer couldn't match it.<ul>${tasks.slice(0, 10).map(t => `<li>${escapeHtml(t)}</li>`).join('')}${tasks.length > 10 ? `<li>...and ${tasks.length - 10} more</li>` : ''}</ul>`;
+    exportWarningEl.classList.remove('hidden');
+  }
+
   // CSV escape
   function csvEscape(value) {
     if (!value) return '';
     const str = String(value);
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
       return `"${str.replace(/"/g, '""')}"`;
     }
     return str;
@@ -648,26 +1629,372 @@ document.addEventListener('DOMContentLoaded', async () => {
     tasksHierarchyEl.innerHTML = tree.map(node => renderNode(node, 0)).join('');
   }
 
+  // Render Gantt/timeline view
+  function renderGantt(tasks) {
+    if (!tasks.length) {
+      tasksGanttEl.innerHTML = '<p class="empty-state">No tasks match your filters</p>';
+      return;
+    }
+
+    // Flatten the hierarchy so rows keep their nesting depth
+    const rows = [];
+    const flatten = (nodes, depth) => {
+      nodes.forEach(node => {
+        rows.push({ task: node, depth });
+        flatten(node.children, depth + 1);
+      });
+    };
+    flatten(buildHierarchyTree(tasks), 0);
+
+    const toTime = (value) => {
+      if (!value) return null;
+      const time = new Date(value).getTime();
+      return isNaN(time) ? null : time;
+    };
+
+    // Determine the visible date range
+    let minTime = Infinity;
+    let maxTime = -Infinity;
+    rows.forEach(({ task }) => {
+      [toTime(task.startDateTime), toTime(task.dueDateTime)].forEach(time => {
+        if (time === null) return;
+        minTime = Math.min(minTime, time);
+        maxTime = Math.max(maxTime, time);
+      });
+    });
+
+    if (minTime === Infinity) {
+      tasksGanttEl.innerHTML = '<p class="empty-state">No tasks with start or due dates to show on the timeline</p>';
+      return;
+    }
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const rangeStart = new Date(minTime);
+    rangeStart.setHours(0, 0, 0, 0);
+    const rangeEnd = new Date(maxTime);
+    rangeEnd.setHours(0, 0, 0, 0);
+    const startTime = rangeStart.getTime();
+    const endTime = rangeEnd.getTime() + DAY;
+    const span = endTime - startTime;
+    const toPercent = (time) => ((time - startTime) / span) * 100;
+
+    // Scale: one tick per month, or per week for short ranges
+    const ticks = [];
+    const useWeeks = span <= 62 * DAY;
+    const tick = new Date(startTime);
+    if (!useWeeks) tick.setDate(1);
+    while (tick.getTime() < endTime) {
+      if (tick.getTime() >= startTime) {
+        ticks.push({
+          left: toPercent(tick.getTime()),
+          label: useWeeks
+            ? tick.toLocaleDateString([], { month: 'short', day: 'numeric' })
+            : tick.toLocaleDateString([], { month: 'short', year: 'numeric' })
+        });
+      }
+      if (useWeeks) {
+        tick.setDate(tick.getDate() + 7);
+      } else {
+        tick.setMonth(tick.getMonth() + 1);
+      }
+    }
+
+    const scaleHtml = ticks.map(t => `
+      <span class="gantt-tick" style="left: ${t.left}%;">${escapeHtml(t.label)}</span>
+    `).join('');
+
+    const now = Date.now();
+    const todayHtml = now >= startTime && now <= endTime
+      ? `<div class="gantt-today" style="left: ${toPercent(now)}%;" title="Today"></div>`
+      : '';
+
+    const rowsHtml = rows.map(({ task, depth }) => {
+      const start = toTime(task.startDateTime);
+      const due = toTime(task.dueDateTime);
+      const pct = getPercentComplete(task);
+      const status = getTaskStatus(task);
+      const tooltip = `${task.title}\n${formatDateSafe(task.startDateTime)} - ${formatDateSafe(task.dueDateTime)}${pct ? ` (${pct}%)` : ''}`;
+
+      let barHtml = '';
+      if (task.isMilestone) {
+        const at = due ?? start;
+        barHtml = at === null ? '' : `
+          <div class="gantt-milestone ${task.isCritical ? 'critical' : ''}" style="left: ${toPercent(at)}%;" title="${escapeHtml(tooltip)}"></div>
+        `;
+      } else if (start !== null || due !== null) {
+        // Bars span whole days; a single known date gives a one-day bar
+        const barStart = start ?? due;
+        const barEnd = (due ?? start) + DAY;
+        const left = toPercent(barStart);
+        const width = Math.max(toPercent(barEnd) - left, 0.5);
+        barHtml = `
+          <div class="gantt-bar ${status} ${task.isSummaryTask ? 'summary' : ''} ${task.isCritical ? 'critical' : ''}"
+               style="left: ${left}%; width: ${width}%;" title="${escapeHtml(tooltip)}">
+            <div class="gantt-bar-progress" style="width: ${pct}%;"></div>
+          </div>
+        `;
+      }
+
+      return `
+        <div class="gantt-row ${task.isSummaryTask ? 'summary-task' : ''}">
+          <div class="gantt-label" style="padding-left: ${depth * 16 + 8}px;" title="${escapeHtml(task.title)}">
+            ${task.outlineNumber ? `<span class="hierarchy-number">${escapeHtml(task.outlineNumber)}</span>` : ''}
+            <span class="${task.isSummaryTask ? 'bold' : ''}">${escapeHtml(task.title)}</span>
+          </div>
+          <div class="gantt-track">
+            ${barHtml || '<span class="gantt-no-dates">No dates</span>'}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    tasksGanttEl.innerHTML = `
+      <div class="gantt-legend">
+        <span><span class="gantt-swatch"></span> Task</span>
+        <span><span class="gantt-swatch critical"></span> Critical path</span>
+        <span><span class="gantt-swatch milestone"></span> Milestone</span>
+      </div>
+      <div class="gantt-chart">
+        <div class="gantt-row gantt-header">
+          <div class="gantt-label">Task</div>
+          <div class="gantt-track gantt-scale">${scaleHtml}</div>
+        </div>
+        <div class="gantt-body">
+          ${rowsHtml}
+          <div class="gantt-overlay">${todayHtml}</div>
+        </div>
+      </div>
+    `;
+  }
+
   // Toggle view
   function setView(view) {
     currentView = view;
 
-    if (view === 'list') {
-      tasksListEl.classList.remove('hidden');
-      tasksHierarchyEl.classList.add('hidden');
-      btnViewList.classList.add('active');
-      btnViewHierarchy.classList.remove('active');
-    } else {
-      tasksListEl.classList.add('hidden');
-      tasksHierarchyEl.classList.remove('hidden');
-      btnViewList.classList.remove('active');
-      btnViewHierarchy.classList.add('active');
-    }
+    tasksListEl.classList.toggle('hidden', view !== 'list');
+    tasksHierarchyEl.classList.toggle('hidden', view !== 'hierarchy');
+    tasksGanttEl.classList.toggle('hidden', view !== 'gantt');
+    btnViewList.classList.toggle('active', view === 'list');
+    btnViewHierarchy.classList.toggle('active', view === 'hierarchy');
+    btnViewGantt.classList.toggle('active', view === 'gantt');
 
     // Re-render with current filters
     if (view === 'hierarchy') {
       renderHierarchy(filteredTasks);
+    } else if (view === 'gantt') {
+      renderGantt(filteredTasks);
+    }
+  }
+
+  // Snapshot index key of the loaded export (mirrors getSnapshotPlanKey in background.js)
+  function getSnapshotPlanKey(data) {
+    return `${data.planType || 'unknown'}:${data.plan?.id || data.planName || 'plan'}`;
+  }
+
+  // Populate the snapshot pickers with stored exports of the same plan
+  async function loadSnapshots(currentSnapshotId) {
+    const result = await chrome.storage.local.get('plannerExportSnapshots');
+    const planKey = getSnapshotPlanKey(exportData);
+    snapshotList = (result.plannerExportSnapshots || [])
+      .filter(s => s.planKey === planKey)
+      .sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+
+    if (snapshotList.length < 2) {
+      compareFromEl.disabled = true;
+      compareToEl.disabled = true;
+      btnCompare.disabled = true;
+      diffResultsEl.innerHTML = '<p class="empty-state">Export this plan at least twice to compare snapshots</p>';
+      return;
+    }
+
+    const options = snapshotList.map(s =>
+      `<option value="${escapeHtml(s.id)}">${formatDate(s.exportedAt)} - ${s.taskCount} tasks${s.scheduleId ? ' (scheduled)' : ''}${s.partial ? ' (partial)' : ''}</option>`
+    ).join('');
+    compareFromEl.innerHTML = options;
+    compareToEl.innerHTML = options;
+
+    // Default to the snapshot being viewed (or the newest) against the one before it
+    const toIndex = Math.max(0, snapshotList.findIndex(s => s.id === currentSnapshotId));
+    compareToEl.value = snapshotList[toIndex].id;
+    compareFromEl.value = snapshotList[Math.min(toIndex + 1, snapshotList.length - 1)].id;
+  }
+
+  // Compare the two selected snapshots
+  async function compareSnapshots() {
+    let fromId = compareFromEl.value;
+    let toId = compareToEl.value;
+    if (fromId === toId) {
+      diffResultsEl.innerHTML = '<p class="empty-state">Pick two different snapshots</p>';
+      return;
+    }
+
+    // Always diff older -> newer, whichever way round they were picked
+    const fromEntry = snapshotList.find(s => s.id === fromId);
+    const toEntry = snapshotList.find(s => s.id === toId);
+    if (fromEntry.exportedAt > toEntry.exportedAt) {
+      [fromId, toId] = [toId, fromId];
     }
+
+    const fromKey = `plannerExportSnapshot:${fromId}`;
+    const toKey = `plannerExportSnapshot:${toId}`;
+    const result = await chrome.storage.local.get([fromKey, toKey]);
+    if (!result[fromKey] || !result[toKey]) {
+      diffResultsEl.innerHTML = '<p class="empty-state">Snapshot data not found. It may have been pruned.</p>';
+      return;
+    }
+
+    diffResult = {
+      from: { id: fromId, exportedAt: result[fromKey].exportedAt },
+      to: { id: toId, exportedAt: result[toKey].exportedAt },
+      changes: diffSnapshots(result[fromKey], result[toKey])
+    };
+    renderDiff();
+  }
+
+  // List what changed between two exports of the same plan, matched by task ID
+  function diffSnapshots(oldData, newData) {
+    const changes = [];
+    const oldTasks = new Map((oldData.tasks || []).map(t => [t.id, t]));
+    const newTasks = new Map((newData.tasks || []).map(t => [t.id, t]));
+
+    const getAssignees = (task) => {
+      const people = task.assignedTo && task.assignedTo.length > 0
+        ? task.assignedTo
+        : Object.keys(task.assignments || {});
+      return [...people].sort().join('; ');
+    };
+    // Graph tasks compare on assignment IDs so resolving names later isn't a change
+    const getAssigneeKey = (task) => {
+      if (task.assignments && !Array.isArray(task.assignments)) {
+        return Object.keys(task.assignments).sort().join('; ');
+      }
+      return getAssignees(task);
+    };
+    const addChange = (change, task, field, before, after) => {
+      changes.push({ change, taskId: task.id, title: task.title, field, before, after });
+    };
+
+    for (const [id, task] of newTasks) {
+      const old = oldTasks.get(id);
+      if (!old) {
+        addChange('added', task, 'bucket', '', getBucketName(task, newData));
+        continue;
+      }
+
+      if (getPercentComplete(old) < 100 && getPercentComplete(task) === 100) {
+        addChange('completed', task, 'percentComplete', `${getPercentComplete(old)}%`, '100%');
+      }
+
+      const oldBucket = getBucketName(old, oldData);
+      const newBucket = getBucketName(task, newData);
+      if (oldBucket !== newBucket) {
+        addChange('rebucketed', task, 'bucket', oldBucket, newBucket);
+      }
+
+      if (getAssigneeKey(old) !== getAssigneeKey(task)) {
+        addChange('reassigned', task, 'assignedTo', getAssignees(old), getAssignees(task));
+      }
+
+      if (getPriorityLabel(old.priority) !== getPriorityLabel(task.priority)) {
+        addChange('reprioritized', task, 'priority', getPriorityLabel(old.priority), getPriorityLabel(task.priority));
+      }
+
+      for (const [field, key] of [['startDate', 'startDateTime'], ['dueDate', 'dueDateTime']]) {
+        const before = formatImportDate(old[key]);
+        const after = formatImportDate(task[key]);
+        if (before !== after) {
+          addChange('redated', task, field, before, after);
+        }
+      }
+    }
+
+    for (const [id, task] of oldTasks) {
+      if (!newTasks.has(id)) {
+        addChange('removed', task, 'bucket', getBucketName(task, oldData), '');
+      }
+    }
+
+    return changes;
+  }
+
+  // Render the diff grouped by change type
+  function renderDiff() {
+    const { changes } = diffResult;
+    btnExportDiffCsv.disabled = false;
+    btnExportDiffJson.disabled = false;
+
+    diffSummaryEl.innerHTML = Object.entries(DIFF_CHANGE_LABELS).map(([change, label]) => {
+      const count = changes.filter(c => c.change === change).length;
+      return `<span class="diff-chip ${change}${count === 0 ? ' empty' : ''}">${label}: ${count}</span>`;
+    }).join('');
+
+    if (changes.length === 0) {
+      diffResultsEl.innerHTML = '<p class="empty-state">No changes between these snapshots</p>';
+      return;
+    }
+
+    const fieldLabels = {
+      bucket: (exportData.serviceType === 'todo' || exportData.planType === 'todo') ? 'List' : 'Bucket',
+      percentComplete: 'Progress',
+      assignedTo: 'Assigned To',
+      priority: 'Priority',
+      startDate: 'Start',
+      dueDate: 'Due'
+    };
+
+    const rows = Object.keys(DIFF_CHANGE_LABELS).flatMap(change =>
+      changes.filter(c => c.change === change).map(c => `
+        <tr>
+          <td><span class="diff-chip ${c.change}">${DIFF_CHANGE_LABELS[c.change]}</span></td>
+          <td>${escapeHtml(c.title)}</td>
+          <td>${fieldLabels[c.field] || ''}</td>
+          <td class="diff-before">${escapeHtml(c.before) || '-'}</td>
+          <td class="diff-after">${escapeHtml(c.after) || '-'}</td>
+        </tr>
+      `)
+    ).join('');
+
+    diffResultsEl.innerHTML = `
+      <table class="diff-table">
+        <thead>
+          <tr><th>Change</th><th>Task</th><th>Field</th><th>Before</th><th>After</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function exportDiffToCsv() {
+    const headers = ['Change', 'Task ID', 'Title', 'Field', 'Before', 'After'];
+    const rows = diffResult.changes.map(c => [
+      DIFF_CHANGE_LABELS[c.change],
+      c.taskId,
+      csvEscape(c.title),
+      c.field,
+      csvEscape(c.before),
+      csvEscape(c.after)
+    ]);
+    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    downloadFile(csv, `planner-diff-${getFilename()}.csv`, 'text/csv');
+  }
+
+  function exportDiffToJson() {
+    const summary = {};
+    Object.keys(DIFF_CHANGE_LABELS).forEach(change => {
+      summary[change] = diffResult.changes.filter(c => c.change === change).length;
+    });
+
+    const json = JSON.stringify({
+      plan: {
+        id: exportData.plan?.id,
+        title: exportData.plan?.title || exportData.planName
+      },
+      from: diffResult.from,
+      to: diffResult.to,
+      summary,
+      changes: diffResult.changes
+    }, null, 2);
+    downloadFile(json, `planner-diff-${getFilename()}.json`, 'application/json');
   }
 
   // Event listeners
@@ -677,8 +2004,22 @@ document.addEventListener('DOMContentLoaded', async () => {
   btnExportJson.addEventListener('click', exportToJson);
   btnExportCsv.addEventListener('click', exportToCsv);
   btnExportText.addEventListener('click', exportToText);
+  btnExportMarkdown.addEventListener('click', exportToMarkdown);
+  btnExportMspdi.addEventListener('click', exportToMspdi);
+  btnExportXlsx.addEventListener('click', exportToXlsx);
+  btnExportReport.addEventListener('click', exportToHtmlReport);
+  btnExportIcs.addEventListener('click', exportToIcs);
+  btnExportImportCsv.addEventListener('click', exportToImportCsv);
+  btnCopyTo.addEventListener('click', () => {
+    // The import page reads plannerExportData and lets the user pick the destination
+    chrome.tabs.create({ url: chrome.runtime.getURL('import.html?source=export') });
+  });
+  btnCompare.addEventListener('click', compareSnapshots);
+  btnExportDiffCsv.addEventListener('click', exportDiffToCsv);
+  btnExportDiffJson.addEventListener('click', exportDiffToJson);
   btnViewList.addEventListener('click', () => setView('list'));
   btnViewHierarchy.addEventListener('click', () => setView('hierarchy'));
+  btnViewGantt.addEventListener('click', () => setView('gantt'));
 
   // Initialize
   await loadData();
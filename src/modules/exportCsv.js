@@ -0,0 +1,139 @@
+/**
+ * CSV Export for Planner Exporter
+ * Builds the plain task CSV for the results page, the bulk export page and scheduled
+ * exports. The service worker loads it with importScripts, so unlike the other modules
+ * it is a classic script that defines a single global.
+ */
+
+const ExportCsv = {
+  HEADERS: [
+    'ID',
+    'Title',
+    'Bucket',
+    'Status',
+    'Priority',
+    'Start Date',
+    'Due Date',
+    'Duration',
+    'Percent Complete',
+    'Assigned To',
+    'Predecessors',
+    'Description'
+  ],
+
+  /**
+   * Build the CSV for an export. Returns { csv, dropped }, where dropped lists
+   * predecessor links that could not be written (see formatPredecessors)
+   */
+  build(exportData) {
+    const tasks = exportData.tasks || [];
+
+    // Without an outline column the importer numbers tasks by row
+    const rowById = new Map(tasks.map((task, index) => [task.id, String(index + 1)]));
+    const rowByOutline = new Map(tasks.filter(t => t.outlineNumber).map(t => [t.outlineNumber, rowById.get(t.id)]));
+    const resolvePredecessor = (p) => rowById.get(p.taskId) || rowByOutline.get(p.outlineNumber);
+    const dropped = [];
+
+    const rows = tasks.map(task => {
+      const details = exportData.detailsMap?.[task.id];
+      const description = details?.description || task.description || '';
+      const percentComplete = this.getPercentComplete(task);
+
+      return [
+        task.id,
+        this.escape(task.title),
+        this.escape(this.getBucketName(task, exportData)),
+        this.getStatusLabel(percentComplete),
+        this.getPriorityLabel(task.priority),
+        task.startDateTime || '',
+        task.dueDateTime || '',
+        task.duration || '',
+        percentComplete,
+        this.escape(this.getAssignedTo(task)),
+        this.escape(this.formatPredecessors(task, resolvePredecessor, dropped)),
+        this.escape(description)
+      ];
+    });
+
+    const csv = [this.HEADERS, ...rows].map(row => row.join(',')).join('\n');
+    return { csv, dropped };
+  },
+
+  /**
+   * Format predecessors as the importer reads them. resolve(p) maps a link to the
+   * predecessor's row or outline number; links it can't map (e.g. to tasks outside
+   * the export) are left out and collected in dropped
+   */
+  formatPredecessors(task, resolve, dropped) {
+    if (!task.predecessors || task.predecessors.length === 0) return '';
+    return task.predecessors.map(p => {
+      const target = resolve(p);
+      if (!target) {
+        dropped.push({ task: task.title, predecessor: p.taskId || p.outlineNumber });
+        return null;
+      }
+      let ref = target + (p.type || 'FS');
+      if (p.lagDays) ref += `${p.lagDays > 0 ? '+' : ''}${p.lagDays}d`;
+      return ref;
+    }).filter(Boolean).join(';');
+  },
+
+  /**
+   * Quote a value when it contains a delimiter, quote or line break
+   */
+  escape(value) {
+    if (!value) return '';
+    const str = String(value);
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  },
+
+  /**
+   * Percent complete as a number (DOM exports store it as "50%")
+   */
+  getPercentComplete(task) {
+    if (typeof task.percentComplete === 'number') return task.percentComplete;
+    if (typeof task.percentComplete === 'string') {
+      return parseInt(task.percentComplete.replace('%', ''), 10) || 0;
+    }
+    return 0;
+  },
+
+  getStatusLabel(percentComplete) {
+    if (percentComplete === 100) return 'Completed';
+    if (percentComplete > 0) return 'In Progress';
+    return 'Not Started';
+  },
+
+  getPriorityLabel(priority) {
+    switch (priority) {
+      case 1: return 'Urgent';
+      case 3: return 'Important';
+      case 9: return 'Low';
+      default: return 'Medium';
+    }
+  },
+
+  /**
+   * Bucket name for API data (bucketId + bucketMap) and DOM data (bucketName)
+   */
+  getBucketName(task, exportData) {
+    if (task.bucketName) return task.bucketName;
+    if (task.bucketId && exportData.bucketMap) {
+      return exportData.bucketMap[task.bucketId] || 'Unknown Bucket';
+    }
+    return 'No Bucket';
+  },
+
+  getAssignedTo(task) {
+    if (task.assignedTo && Array.isArray(task.assignedTo)) {
+      return task.assignedTo.join('; ');
+    }
+    if (task.assignments) {
+      return `${Object.keys(task.assignments).length} person(s)`;
+    }
+    return '';
+  }
+};
@@ -9,6 +9,13 @@
 
   const TODO_SUBSTRATE_API = 'https://substrate.office.com/todob2/api/v1';
 
+  // Request scheduling, matching the background scheduler's Substrate settings
+  const MAX_CONCURRENT_REQUESTS = 2;
+  const MAX_RETRIES = 5;
+  const MAX_DELAY_MS = 60000;
+  const CIRCUIT_FAILURE_THRESHOLD = 5;
+  const CIRCUIT_COOLDOWN_MS = 30000;
+
   // Listen for API requests from content script
   window.addEventListener('message', async (event) => {
     if (event.source !== window) return;
@@ -20,6 +27,7 @@
       'TODO_API_GET_LISTS',
       'TODO_API_GET_TASKS',
       'TODO_API_CREATE_TASK',
+      'TODO_API_UPDATE_TASK',
       'TODO_API_ADD_SUBTASK'
     ];
 
@@ -43,6 +51,10 @@
           result = await createTask(event.data.listId, event.data.taskData);
           break;
 
+        case 'TODO_API_UPDATE_TASK':
+          result = await updateTask(event.data.taskId, event.data.changes);
+          break;
+
         case 'TODO_API_ADD_SUBTASK':
           result = await addSubtask(event.data.taskId, event.data.text, event.data.isCompleted);
           break;
@@ -94,21 +106,162 @@
     return headers;
   }
 
-  // Fetch all task lists
-  async function getLists() {
-    console.log('[ToDoPageApi] Fetching task lists...');
+  // ============================================
+  // REQUEST SCHEDULER
+  // The importer's calls run here rather than in the background, so they get the
+  // same per-host limit, backoff and circuit breaker as background.js scheduledFetch()
+  // ============================================
 
-    const response = await fetch(`${TODO_SUBSTRATE_API}/taskfolders?maxPageSize=200`, {
-      headers: getAuthHeaders()
-    });
+  const scheduler = { active: 0, queue: [], pausedUntil: 0, failures: 0, openUntil: 0, openReason: '', retryCount: 0 };
 
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      throw new Error(`Failed to fetch lists: ${response.status} ${errorText}`);
+  function acquireSlot() {
+    if (scheduler.active < MAX_CONCURRENT_REQUESTS) {
+      scheduler.active++;
+      return Promise.resolve();
     }
+    return new Promise(resolve => scheduler.queue.push(resolve));
+  }
 
-    const data = await response.json();
-    const lists = data.Value || data.value || [];
+  function releaseSlot() {
+    const next = scheduler.queue.shift();
+    if (next) {
+      next();
+    } else {
+      scheduler.active--;
+    }
+  }
+
+  // Retry-After (seconds or HTTP date) as given, otherwise capped exponential backoff
+  function getRetryDelayMs(retryAfter, attempt) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+      const retryAt = Date.parse(retryAfter);
+      if (!isNaN(retryAt)) return Math.max(retryAt - Date.now(), 0);
+    }
+    return Math.min(1000 * Math.pow(2, attempt) + Math.random() * 250, MAX_DELAY_MS);
+  }
+
+  // The content script relays this to the import page's log and holds off its request timeout
+  function noteRequestRetry(host, reason, attempt, delayMs) {
+    scheduler.retryCount++;
+    console.warn(`[ToDoPageApi] ${host} ${reason}, retry ${attempt} in ${Math.round(delayMs / 1000)}s`);
+
+    window.postMessage({
+      type: 'TODO_API_RETRY',
+      retry: { host, reason, attempt, delayMs, count: 1, totalRetries: scheduler.retryCount }
+    }, '*');
+  }
+
+  function recordResult(host, failed) {
+    if (!failed) {
+      scheduler.failures = 0;
+      return;
+    }
+    scheduler.failures++;
+    if (scheduler.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      scheduler.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+      scheduler.openReason = 'Too many failed requests to';
+      console.warn(`[ToDoPageApi] Circuit open for ${host} after ${scheduler.failures} consecutive failures`);
+    }
+  }
+
+  // Stands in for fetch(): retries 429/503 (and, for GET, 502/504 and network errors)
+  // and resolves to the final response
+  async function scheduledFetch(url, options = {}) {
+    const host = new URL(url).host;
+    const method = (options.method || 'GET').toUpperCase();
+    // A write that failed mid-flight may have been applied, so only reads retry on those
+    const idempotent = method === 'GET' || method === 'HEAD';
+
+    for (let attempt = 0; ; attempt++) {
+      if (scheduler.openUntil > Date.now()) {
+        const seconds = Math.ceil((scheduler.openUntil - Date.now()) / 1000);
+        throw new Error(`${scheduler.openReason} ${host}, paused for ${seconds}s`);
+      }
+
+      let response = null;
+      let networkError = null;
+      await acquireSlot();
+      try {
+        const pauseMs = scheduler.pausedUntil - Date.now();
+        if (pauseMs > 0) {
+          await new Promise(r => setTimeout(r, pauseMs));
+        }
+        response = await fetch(url, options);
+      } catch (err) {
+        networkError = err;
+      } finally {
+        releaseSlot();
+      }
+
+      const status = response?.status;
+      const throttled = status === 429 || status === 503;
+      recordResult(host, !!networkError || (status >= 500 && status !== 503));
+
+      const retryable = throttled || (idempotent && (!!networkError || status === 502 || status === 504));
+      if (!retryable || attempt >= MAX_RETRIES) {
+        if (networkError) throw networkError;
+        return response;
+      }
+
+      const delayMs = getRetryDelayMs(response?.headers.get('Retry-After'), attempt);
+      if (delayMs > MAX_DELAY_MS) {
+        scheduler.openUntil = Math.max(scheduler.openUntil, Date.now() + delayMs);
+        scheduler.openReason = 'Throttled by';
+        throw new Error(`${host} asked to wait ${Math.ceil(delayMs / 1000)}s before retrying. Try again later.`);
+      }
+      if (throttled) {
+        scheduler.pausedUntil = Math.max(scheduler.pausedUntil, Date.now() + delayMs);
+      }
+      noteRequestRetry(host, networkError ? 'network error' : `returned ${status}`, attempt + 1, delayMs);
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+  }
+
+  // Read every page of a Substrate collection, following the continuation link.
+  // Callers match against the full set, so a failed page throws rather than returning part of it
+  async function fetchAllPages(endpoint, what) {
+    let items = [];
+    let nextLink = endpoint;
+    let pageCount = 0;
+    const seenLinks = new Set();
+
+    while (nextLink) {
+      if (seenLinks.has(nextLink)) {
+        throw new Error(`Failed to fetch ${what}: paging looped after page ${pageCount}`);
+      }
+      seenLinks.add(nextLink);
+
+      const url = nextLink.startsWith('http') ? nextLink : `${TODO_SUBSTRATE_API}${nextLink}`;
+      const response = await scheduledFetch(url, {
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        const pageNote = pageCount > 0 ? ` (after page ${pageCount})` : '';
+        throw new Error(`Failed to fetch ${what}${pageNote}: ${response.status} ${errorText}`);
+      }
+
+      const data = await response.json();
+      items = items.concat(data.Value || data.value || []);
+      pageCount++;
+      nextLink = data['@odata.nextLink'] || data.NextLink || data['odata.nextLink'] || null;
+
+      if (nextLink || pageCount > 1) {
+        console.log(`[ToDoPageApi] Fetched page ${pageCount} of ${what} (${items.length} so far)`);
+      }
+    }
+
+    return items;
+  }
+
+  // Fetch all task lists
+  async function getLists() {
+    console.log('[ToDoPageApi] Fetching task lists...');
+
+    const lists = await fetchAllPages('/taskfolders?maxPageSize=200', 'lists');
 
     console.log('[ToDoPageApi] Found', lists.length, 'lists');
 
@@ -124,17 +277,7 @@
   async function getTasksForList(listId) {
     console.log('[ToDoPageApi] Fetching tasks for list:', listId);
 
-    const response = await fetch(`${TODO_SUBSTRATE_API}/taskfolders/${listId}/tasks?maxPageSize=200`, {
-      headers: getAuthHeaders()
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      throw new Error(`Failed to fetch tasks: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data.Value || data.value || [];
+    return fetchAllPages(`/taskfolders/${listId}/tasks?maxPageSize=200`, 'tasks');
   }
 
   // Create a task
@@ -173,7 +316,7 @@
       };
     }
 
-    const response = await fetch(`${TODO_SUBSTRATE_API}/taskfolders/${listId}/tasks`, {
+    const response = await scheduledFetch(`${TODO_SUBSTRATE_API}/taskfolders/${listId}/tasks`, {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify(payload)
@@ -187,11 +330,58 @@
     return await response.json();
   }
 
+  // Update only the given fields of a task (null clears a date or the notes)
+  async function updateTask(taskId, changes) {
+    console.log('[ToDoPageApi] Updating task:', taskId);
+
+    const payload = {};
+
+    if (changes.title !== undefined) {
+      payload.Subject = changes.title || 'Untitled Task';
+    }
+
+    if (changes.priority !== undefined) {
+      payload.Importance = mapPriorityToImportance(changes.priority);
+    }
+
+    if (changes.notes !== undefined) {
+      payload.Body = {
+        Content: changes.notes || '',
+        ContentType: 'Text'
+      };
+    }
+
+    if (changes.dueDate !== undefined) {
+      payload.DueDate = changes.dueDate
+        ? { DateTime: changes.dueDate, TimeZone: 'UTC' }
+        : null;
+    }
+
+    if (changes.startDate !== undefined) {
+      payload.StartDate = changes.startDate
+        ? { DateTime: changes.startDate, TimeZone: 'UTC' }
+        : null;
+    }
+
+    const response = await scheduledFetch(`${TODO_SUBSTRATE_API}/tasks/${taskId}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`Failed to update task: ${response.status} ${errorText}`);
+    }
+
+    return await response.json().catch(() => ({}));
+  }
+
   // Add a subtask (checklist item)
   async function addSubtask(taskId, text, isCompleted = false) {
     console.log('[ToDoPageApi] Adding subtask to task:', taskId);
 
-    const response = await fetch(`${TODO_SUBSTRATE_API}/tasks/${taskId}/subtasks`, {
+    const response = await scheduledFetch(`${TODO_SUBSTRATE_API}/tasks/${taskId}/subtasks`, {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({